@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Capture a byline fixture from a running relay:
+//
+//   node scripts/capture-byline-fixture.js <channel url> <name> [--base=http://localhost:3000]
+//     → test/fixtures/byline/<name>.md    (the page as /byline?raw=1 returns it)
+//     → test/fixtures/byline/<name>.json  ({ url, byline } as /byline would serve it today)
+//
+//   node scripts/capture-byline-fixture.js --rebaseline [name ...]
+//     → rewrite the .json files from the saved .md with the current extractors
+//       (after an intentional extractor change; review the diff before committing)
+//
+// The expected byline is whatever the extractors produce today, so read it
+// before committing the fixture.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { bylineFromPage } = require('../server');
+
+const DIR = path.join(__dirname, '..', 'test', 'fixtures', 'byline');
+
+function usage(msg) {
+  if (msg) console.error(msg);
+  console.error('usage: capture-byline-fixture.js <channel url> <name> [--base=http://localhost:3000]');
+  console.error('       capture-byline-fixture.js --rebaseline [name ...]');
+  process.exit(2);
+}
+
+// Jina's header says which page it actually rendered
+const sourceUrlOf = (md, fallback) => ((String(md).match(/^URL Source:\s*(\S+)/m) || [])[1] || fallback);
+
+function writeExpected(name, url, md) {
+  const byline = bylineFromPage({ body: md, format: 'markdown', usedUrl: url });
+  fs.writeFileSync(path.join(DIR, name + '.json'), JSON.stringify({ url, byline }, null, 2) + '\n');
+  console.log(`${name}: ${byline ? JSON.stringify(byline) : '(no byline)'}`);
+}
+
+async function capture(url, name, base) {
+  const r = await fetch(`${base.replace(/\/+$/, '')}/byline?raw=1&u=${encodeURIComponent(url)}`);
+  if (!r.ok) throw new Error(`relay answered HTTP ${r.status}`);
+  const fetcher = r.headers.get('x-byline-fetcher');
+  if (fetcher !== 'jina') throw new Error(`page came from the ${fetcher || 'unknown'} fetcher; fixtures are Jina markdown`);
+
+  const md = await r.text();
+  fs.mkdirSync(DIR, { recursive: true });
+  fs.writeFileSync(path.join(DIR, name + '.md'), md);
+  writeExpected(name, sourceUrlOf(md, url), md);
+}
+
+function rebaseline(names) {
+  const all = fs.readdirSync(DIR).filter(f => f.endsWith('.md')).map(f => f.slice(0, -3));
+  for (const name of names.length ? names : all) {
+    const md = fs.readFileSync(path.join(DIR, name + '.md'), 'utf8');
+    let url = '';
+    try { url = JSON.parse(fs.readFileSync(path.join(DIR, name + '.json'), 'utf8')).url; } catch {}
+    writeExpected(name, url || sourceUrlOf(md, ''), md);
+  }
+}
+
+const args = process.argv.slice(2);
+const base = (args.find(a => a.startsWith('--base=')) || '--base=http://localhost:3000').slice(7);
+const pos = args.filter(a => !a.startsWith('--'));
+
+if (args.includes('--rebaseline')) {
+  rebaseline(pos);
+} else {
+  const [url, name] = pos;
+  if (!url || !name) usage();
+  if (!/^[a-z0-9][a-z0-9-]*$/i.test(name)) usage('name: letters, digits and dashes only');
+  capture(url, name, base).catch(e => { console.error('capture failed:', e.message); process.exit(1); });
+}
@@ -1,6 +1,13 @@
 // server.js
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const express = require('express');
 const { WebcastPushConnection } = require('tiktok-live-connector');
+const { EventEmitter } = require('events');
+const { WebSocketServer, WebSocket } = require('ws');
 
 // If you're on Node < 18, uncomment the next line and add `node-fetch` to deps.
 // const fetch = (...args) => import('node-fetch').then(m => m.default(...args));
@@ -10,33 +17,362 @@ const app = express();
 // Ensure Express trusts proxies (Render/NGINX)
 app.set('trust proxy', 1);
 
-// CORS allowlist (can be '*' if you prefer; here we still send '*' as fallback)
-const ALLOW_ORIGINS = new Set([
+/* --------------------------------- Logging ------------------------------- */
+// One JSON object per line: { ts, level, msg, ...context, ...fields }.
+// LOG_LEVEL sets the floor (debug | info | warn | error | silent; default info);
+// warn/error go to stderr. Context comes from logContext: { reqId } inside an
+// HTTP request, { room } inside a TikTok room's connect/retry cycle.
+// Secrets never reach the output: cookie/authorization/token fields are
+// masked by key, and cookie pairs or registered values (TikTok session ids,
+// jar cookies) inside strings by value.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVEL = LOG_LEVELS[String(process.env.LOG_LEVEL || 'info').trim().toLowerCase()] ?? LOG_LEVELS.info;
+const logContext = new AsyncLocalStorage();
+
+const SECRET_KEY = /^(?:cookies?|set-cookie|authorization|sessionid(?:_ss)?|hosttoken|token|secret|password|mstoken)$/i;
+const SECRET_COOKIES = /\b(sessionid(?:_ss)?|sid_tt|sid_guard|uid_tt|ttwid|odin_tt|msToken|tt_csrf_token|s_v_web_id)=[^;\s&"]+/gi;
+
+// Values registered at runtime (TikTok session pool, cookie jar) are masked wherever they show up
+const logSecrets = new Set();
+const addLogSecret = (v) => { if (v && String(v).length >= 8) logSecrets.add(String(v)); };
+const dropLogSecret = (v) => logSecrets.delete(String(v));
+
+function redactSecrets(value, depth = 0) {
+  if (typeof value === 'string') {
+    let out = value.replace(SECRET_COOKIES, '$1=[redacted]').replace(/\bBearer\s+\S+/gi, 'Bearer [redacted]');
+    for (const secret of logSecrets) if (out.includes(secret)) out = out.split(secret).join('[redacted]');
+    return out;
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (depth > 6) return '[depth]';
+  if (value instanceof Error) return redactSecrets({ name: value.name, message: value.message, code: value.code }, depth + 1);
+  if (Array.isArray(value)) return value.map(v => redactSecrets(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = SECRET_KEY.test(k) ? '[redacted]' : redactSecrets(v, depth + 1);
+  return out;
+}
+
+function writeLog(level, msg, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  const record = redactSecrets({ ts: new Date().toISOString(), level, msg, ...(logContext.getStore() || {}), ...(fields || {}) });
+  let line;
+  try { line = JSON.stringify(record); } catch { line = JSON.stringify({ ts: record.ts, level, msg, note: 'unserializable fields' }); }
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+const log = {
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+  info:  (msg, fields) => writeLog('info', msg, fields),
+  warn:  (msg, fields) => writeLog('warn', msg, fields),
+  error: (msg, fields) => writeLog('error', msg, fields)
+};
+
+// Request IDs: honor a sane incoming X-Request-Id, otherwise mint one. Echoed
+// in the response header, attached to every log line of the request, and
+// added to the SSE session's debug events.
+app.use((req, res, next) => {
+  const incoming = String(req.headers['x-request-id'] || '');
+  req.id = /^[\w.:-]{8,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('close', () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+    const level = res.statusCode >= 500 ? 'warn' : 'info';
+    writeLog(level, 'request', { reqId: req.id, method: req.method, path: req.path, status: res.statusCode, durationMs, ip: req.ip, aborted: !res.writableFinished });
+  });
+  logContext.run({ reqId: req.id }, next);
+});
+
+/* ------------------------------- CORS policy ----------------------------- */
+// Policies come from CORS_CONFIG (inline JSON) or CORS_CONFIG_FILE:
+//   {
+//     "default": { "origins": ["https://keyguessing.com", "https://*.keyguessing.com"], "strict": false },
+//     "routes": {
+//       "/tiktok-sse": { "origins": ["*"] },
+//       "/debug/*":    { "strict": true }
+//     }
+//   }
+// Route policies inherit from "default"; the longest matching route wins.
+// Origins are exact ("https://a.com"), subdomain wildcards ("https://*.a.com",
+// not the apex) or any port ("http://localhost:*"); "*" allows everyone.
+// Non-strict policies answer disallowed origins with "*" (legacy behavior);
+// strict ones send no CORS headers and reject them with 403.
+// CORS_ORIGINS / CORS_STRICT override the default policy's origins / strictness.
+const DEFAULT_CORS_ORIGINS = [
   'https://keyguessing.com',
   'https://www.keyguessing.com',
   'http://localhost:3000',
   'http://127.0.0.1:5500',
   'http://localhost:8080'
-]);
+];
+const BASE_CORS_POLICY = {
+  origins: DEFAULT_CORS_ORIGINS,
+  strict: false,
+  methods: ['GET', 'OPTIONS'],
+  headers: ['Content-Type', 'Authorization', 'X-Requested-With', 'Last-Event-ID', 'X-Request-Id', 'X-Host-Token'],
+  credentials: false,
+  maxAge: 600
+};
+
+function loadCorsConfig() {
+  let cfg = {};
+  try {
+    if (process.env.CORS_CONFIG) cfg = JSON.parse(process.env.CORS_CONFIG);
+    else if (process.env.CORS_CONFIG_FILE) cfg = JSON.parse(fs.readFileSync(process.env.CORS_CONFIG_FILE, 'utf8'));
+  } catch (e) {
+    log.warn('cors config ignored', { error: e && e.message ? e.message : String(e) });
+    cfg = {};
+  }
+
+  const envDefault = {};
+  if (process.env.CORS_ORIGINS) envDefault.origins = process.env.CORS_ORIGINS.split(',').map(s => s.trim()).filter(Boolean);
+  if (process.env.CORS_STRICT) envDefault.strict = process.env.CORS_STRICT === '1' || process.env.CORS_STRICT === 'true';
+
+  const def = compileCorsPolicy({ ...BASE_CORS_POLICY, ...(cfg.default || {}), ...envDefault });
+  const routes = {
+    // Diagnostics never need to be callable from arbitrary pages
+    '/debug/*': { strict: true },
+    '/metrics': { strict: true },
+    '/admin/*': { strict: true, methods: ['GET', 'POST', 'DELETE'] },
+    '/byline': { methods: ['GET', 'POST'] },
+    '/tiktok/status': { methods: ['GET', 'POST'] },
+    '/game/*': { methods: ['GET', 'POST', 'DELETE'] },
+    ...(cfg.routes || {})
+  };
+  const compiled = Object.entries(routes)
+    .map(([route, p]) => ({ route, ...compileCorsPolicy({ ...def.source, ...(p || {}) }) }))
+    .sort((a, b) => b.route.length - a.route.length);
+  return { def, routes: compiled };
+}
+
+// "https://*.a.com" → /^https:\/\/(?:[a-z0-9-]+\.)+a\.com$/i ; "http://localhost:*" → any port
+function originPatternToRegExp(pattern) {
+  const re = escRe(String(pattern).trim().replace(/\/+$/, ''))
+    .replace(/^([a-z]+:\/\/)\\\*\\\./i, '$1(?:[a-z0-9-]+\\.)+')
+    .replace(/:\\\*$/, ':\\d+');
+  return new RegExp('^' + re + '$', 'i');
+}
+
+function compileCorsPolicy(p) {
+  const origins = (Array.isArray(p.origins) ? p.origins : String(p.origins || '').split(','))
+    .map(s => String(s).trim()).filter(Boolean);
+  const methods = Array.from(new Set([...(p.methods || BASE_CORS_POLICY.methods), 'OPTIONS'].map(m => String(m).toUpperCase())));
+  return {
+    source: p,
+    any: origins.includes('*'),
+    exact: new Set(origins.filter(o => !o.includes('*')).map(o => o.toLowerCase())),
+    patterns: origins.filter(o => o !== '*' && o.includes('*')).map(originPatternToRegExp),
+    strict: Boolean(p.strict),
+    methods: methods.join(', '),
+    headers: (p.headers || BASE_CORS_POLICY.headers).join(', '),
+    credentials: Boolean(p.credentials),
+    maxAge: Number(p.maxAge ?? BASE_CORS_POLICY.maxAge)
+  };
+}
+
+const corsConfig = loadCorsConfig();
+
+function corsPolicyFor(pathname) {
+  const path = String(pathname || '/').replace(/[?#].*$/, '');
+  for (const r of corsConfig.routes) {
+    if (r.route.endsWith('/*')) {
+      const base = r.route.slice(0, -2);
+      if (path === base || path.startsWith(base + '/')) return r;
+    } else if (path === r.route) {
+      return r;
+    }
+  }
+  return corsConfig.def;
+}
+
+function originAllowed(policy, origin) {
+  if (!origin) return true; // same-origin / non-browser callers
+  if (policy.any) return true;
+  if (policy.exact.has(String(origin).toLowerCase())) return true;
+  return policy.patterns.some(re => re.test(origin));
+}
+
+// Returns false when the origin is rejected under a strict policy
 function setCORS(req, res) {
   const origin = req.headers.origin;
-  if (origin && ALLOW_ORIGINS.has(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Vary', 'Origin');
-  } else {
+  const policy = corsPolicyFor(req.path || req.url);
+  res.setHeader('Vary', 'Origin');
+
+  if (origin && originAllowed(policy, origin)) {
+    // "*" can't be combined with credentials, so echo the origin then
+    res.setHeader('Access-Control-Allow-Origin', policy.any && !policy.credentials ? '*' : origin);
+  } else if (origin && policy.strict) {
+    return false;
+  } else if (!policy.credentials) {
     res.setHeader('Access-Control-Allow-Origin', '*');
   }
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  if (policy.credentials) res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Methods', policy.methods);
+  res.setHeader('Access-Control-Allow-Headers', policy.headers);
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
+  return true;
 }
 
 // Global CORS middleware
 app.use((req, res, next) => {
-  setCORS(req, res);
-  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  const ok = setCORS(req, res);
+  if (!ok) return res.status(403).json({ error: 'origin_not_allowed' });
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Max-Age', String(corsPolicyFor(req.path).maxAge));
+    return res.sendStatus(204);
+  }
   next();
 });
 
+/* ------------------------------- Rate limits ----------------------------- */
+// Token buckets per client IP and per upstream target, per route family.
+// Buckets hold `capacity` tokens and refill `perMin` tokens per minute.
+// Override any of these with RATE_LIMITS='{"byline":{"ip":{"capacity":60,"perMin":60}}}'.
+const RATE_LIMIT_DEFAULTS = {
+  'byline':        { ip: { capacity: 30, perMin: 30 }, target: { capacity: 120, perMin: 120 } },
+  'twitch-about':  { ip: { capacity: 10, perMin: 10 }, target: { capacity: 20,  perMin: 20 } },
+  'steam-reviews': { ip: { capacity: 60, perMin: 60 }, target: { capacity: 120, perMin: 120 } },
+  'debug-tiktok':  { ip: { capacity: 5,  perMin: 5 },  target: { capacity: 3,   perMin: 3 } },
+  'tiktok-sse':    { ip: { capacity: 20, perMin: 20 }, target: { capacity: 120, perMin: 120 } },
+  'tiktok-status': { ip: { capacity: 30, perMin: 30 }, target: null },
+  'tiktok-replay': { ip: { capacity: 20, perMin: 20 }, target: null },
+  'twitch-sse':    { ip: { capacity: 20, perMin: 20 }, target: { capacity: 120, perMin: 120 } },
+  'steam-app':     { ip: { capacity: 60, perMin: 60 }, target: { capacity: 120, perMin: 120 } },
+  'game':          { ip: { capacity: 30, perMin: 30 }, target: null }
+};
+// Concurrent /tiktok-sse + /tiktok-ws streams
+const STREAMS_MAX_PER_IP = Number(process.env.STREAMS_MAX_PER_IP || 10);
+const STREAMS_MAX_TOTAL  = Number(process.env.STREAMS_MAX_TOTAL || 2000);
+
+function loadRateLimits() {
+  let over = {};
+  try { if (process.env.RATE_LIMITS) over = JSON.parse(process.env.RATE_LIMITS); }
+  catch (e) { log.warn('RATE_LIMITS ignored', { error: e && e.message ? e.message : String(e) }); }
+  const out = {};
+  for (const name of new Set([...Object.keys(RATE_LIMIT_DEFAULTS), ...Object.keys(over || {})])) {
+    const d = RATE_LIMIT_DEFAULTS[name] || {};
+    const o = (over && over[name]) || {};
+    out[name] = {
+      ip: o.ip === null ? null : { ...(d.ip || {}), ...(o.ip || {}) },
+      target: o.target === null ? null : { ...(d.target || {}), ...(o.target || {}) }
+    };
+  }
+  return out;
+}
+const RATE_LIMITS = loadRateLimits();
+
+function createTokenBuckets({ capacity, perMin }) {
+  const buckets = new Map(); // key -> { tokens, at }
+  const refillPerMs = perMin / 60000;
+
+  function refill(b, now) {
+    b.tokens = Math.min(capacity, b.tokens + (now - b.at) * refillPerMs);
+    b.at = now;
+  }
+
+  // { ok: true } or { ok: false, retryAfterMs }. A cost above capacity
+  // charges a full bucket, so big requests are slowed down, not refused forever.
+  function take(key, cost = 1) {
+    const now = Date.now();
+    const n = Math.min(capacity, Math.max(1, cost));
+    let b = buckets.get(key);
+    if (!b) { b = { tokens: capacity, at: now }; buckets.set(key, b); }
+    refill(b, now);
+    if (b.tokens >= n) { b.tokens -= n; return { ok: true }; }
+    return { ok: false, retryAfterMs: Math.ceil((n - b.tokens) / refillPerMs) };
+  }
+
+  // Forget buckets that have refilled completely
+  setInterval(() => {
+    const now = Date.now();
+    for (const [k, b] of buckets) { refill(b, now); if (b.tokens >= capacity) buckets.delete(k); }
+  }, 60000).unref();
+
+  return { take };
+}
+
+// Client IP for raw (non-Express) requests such as WS upgrades, honoring
+// the same 'trust proxy' setting Express uses for req.ip
+function clientIpOf(req) {
+  if (req.ip) return req.ip;
+  const trust = app.get('trust proxy fn');
+  const chain = [req.socket?.remoteAddress || '']
+    .concat(String(req.headers['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean).reverse());
+  let i = 0;
+  while (i < chain.length - 1 && trust(chain[i], i)) i++;
+  return chain[i];
+}
+
+const limiters = {};
+function limiterFor(name, scope) {
+  const key = `${name}:${scope}`;
+  const cfg = RATE_LIMITS[name] && RATE_LIMITS[name][scope];
+  if (!cfg || !cfg.capacity || !cfg.perMin) return null;
+  return (limiters[key] = limiters[key] || createTokenBuckets(cfg));
+}
+
+// Charge `cost` tokens (default 1) from the IP bucket and, when a target is
+// given, one from the target bucket
+function checkRate(name, ip, target, cost = 1) {
+  const byIp = limiterFor(name, 'ip');
+  const r1 = byIp ? byIp.take(ip, cost) : { ok: true };
+  if (!r1.ok) return { ok: false, scope: 'ip', retryAfterMs: r1.retryAfterMs };
+  const byTarget = target ? limiterFor(name, 'target') : null;
+  const r2 = byTarget ? byTarget.take(target) : { ok: true };
+  if (!r2.ok) return { ok: false, scope: 'target', retryAfterMs: r2.retryAfterMs };
+  return { ok: true };
+}
+
+function sendRateLimited(req, res, info) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(info.retryAfterMs / 1000))));
+  res.set('Cache-Control', 'no-store');
+  return res.status(429).json({ error: 'rate_limited', scope: info.scope, retryAfterMs: info.retryAfterMs });
+}
+
+// EventSource treats non-200 as fatal, so answer 200 with a status event and
+// a `retry:` hint; the browser reconnects on its own once the wait is over.
+function sseRateLimited(req, res, info) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(info.retryAfterMs / 1000))));
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.write(`retry: ${Math.max(1000, info.retryAfterMs)}\n`);
+  res.write('event: status\n');
+  res.write(`data: ${JSON.stringify({ state: 'rate-limited', scope: info.scope, retryInMs: info.retryAfterMs })}\n\n`);
+  return res.end();
+}
+
+// Express middleware: rateLimit('byline', req => req.query.u)
+function rateLimit(name, targetOf = () => '', onLimited = sendRateLimited) {
+  return (req, res, next) => {
+    let target = '';
+    try { target = String(targetOf(req) || ''); } catch {}
+    const r = checkRate(name, req.ip, target);
+    if (!r.ok) return onLimited(req, res, r);
+    next();
+  };
+}
+
+// Concurrent stream slots. Returns a release() function, or { scope } when full.
+const streamsByIp = new Map();
+let streamsTotal = 0;
+function acquireStream(ip) {
+  if (streamsTotal >= STREAMS_MAX_TOTAL) return { scope: 'global' };
+  const n = streamsByIp.get(ip) || 0;
+  if (n >= STREAMS_MAX_PER_IP) return { scope: 'ip-streams' };
+  streamsByIp.set(ip, n + 1);
+  streamsTotal++;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    streamsTotal--;
+    const left = (streamsByIp.get(ip) || 1) - 1;
+    if (left > 0) streamsByIp.set(ip, left); else streamsByIp.delete(ip);
+  };
+}
+
 // Fetch shim (works on Node < 18 too)
 const _fetch = (typeof fetch === 'function')
   ? fetch
@@ -48,7 +384,8 @@ function escRe(s){ return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
 
 // Remove ugly masked tail like "********;)" or trailing asterisks + punctuation
 function stripMaskedTail(s){
-  let out = String(s || '');
+  // A short "Business: ****" label at the end goes with what it labelled
+  let out = String(s || '').replace(/(^|[.!?])\s*(?:[\p{L}&/-]+\s+){0,2}[\p{L}&/-]+\s*:\s*\*{4,}[\s.,;:!?]*$/u, '$1');
   // Only do aggressive tail cleaning if masked tokens appear near the end
   if (/\*{4,}[^\S\r\n]*(?:[;:]-?\)|[)\]}.,;:!?]+)?\s*$/.test(out)) {
     let prev;
@@ -117,25 +454,174 @@ function redactionTokensFromUsername(username) {
   return Array.from(out).sort((a, b) => b.length - a.length);
 }
 
-function redactBylineSystem(text, sourceUrl) {
+// --- Title redaction (games/products; used by the Steam routes) -------------
+const TITLE_STOPWORDS = new Set([
+  'the', 'of', 'and', 'a', 'an', 'in', 'on', 'for', 'to', 'at', 'with',
+  'edition', 'remastered', 'remaster', 'definitive', 'deluxe', 'ultimate', 'complete',
+  'collection', 'game', 'goty', 'year', 'enhanced', 'anniversary', 'hd', 'vr',
+  'online', 'directors', 'director', 'cut', 'bundle', 'pack', 'dlc', 'soundtrack', 'demo'
+]);
+// Company-name filler that would mask half of every review
+const COMPANY_STOPWORDS = new Set([
+  'games', 'game', 'studio', 'studios', 'entertainment', 'interactive', 'software',
+  'inc', 'ltd', 'llc', 'gmbh', 'corp', 'corporation', 'digital', 'productions',
+  'publishing', 'media', 'team', 'group', 'labs', 'works', 'company', 'co'
+]);
+const ROMAN_NUMERALS = ['', 'i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii', 'ix', 'x',
+  'xi', 'xii', 'xiii', 'xiv', 'xv', 'xvi', 'xvii', 'xviii', 'xix', 'xx'];
+
+// "3" ↔ "III"; null if the word isn't a numeral we know
+function numeralVariant(word) {
+  const w = String(word || '').toLowerCase();
+  if (/^\d+$/.test(w)) return ROMAN_NUMERALS[Number(w)] || null;
+  const i = ROMAN_NUMERALS.indexOf(w);
+  return i > 0 ? String(i) : null;
+}
+const isNumeralWord = (w) => /^\d+$/.test(w) || ROMAN_NUMERALS.indexOf(String(w).toLowerCase()) > 0;
+
+// "The Witcher® 3: Wild Hunt" → ['The', 'Witcher', '3', 'Wild', 'Hunt']
+function titleWords(s) {
+  return String(s || '')
+    .replace(/[™®©]/g, '')
+    .replace(/['’]s\b/gi, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Redaction tokens for a game title plus related names (developer, publisher,
+// franchise): full title, its main part (before ":" / " - ") and franchise stem,
+// significant words, CamelCase parts, acronyms (GTA, GTAV, GTA5) and roman ↔
+// arabic numeral variants. Phrases are space-separated; maskTerms() lets any
+// separator stand in for the spaces. Longest first, like the username tokens.
+function redactionTokensFromTitle(title, related = []) {
+  const out = new Set();
+  const add = (s) => { const t = String(s || '').trim().toLowerCase(); if (t.length >= 3) out.add(t); };
+  const clean = String(title || '').replace(/[™®©]/g, '').replace(/\s+/g, ' ').trim();
+  if (!clean) return [];
+
+  const main = clean.split(/\s*(?::|\s-\s|\s–\s|\s—\s)\s*/)[0];
+  const phrases = [titleWords(clean), titleWords(main)];
+
+  // Franchise stem: main title without its trailing number ("The Witcher 3" → "The Witcher")
+  const mainWords = titleWords(main);
+  if (mainWords.length > 1 && isNumeralWord(mainWords[mainWords.length - 1])) phrases.push(mainWords.slice(0, -1));
+  // ...and everything again without a leading article
+  for (const p of phrases.slice()) if (p.length > 1 && /^(the|a|an)$/i.test(p[0])) phrases.push(p.slice(1));
+
+  for (const words of phrases) {
+    if (!words.length) continue;
+    add(words.join(' '));
+    add(words.join(''));                                  // "witcher3"
+    const swapped = words.map(w => numeralVariant(w) || w);
+    if (swapped.join(' ') !== words.join(' ')) { add(swapped.join(' ')); add(swapped.join('')); }
+
+    // Acronyms from the initials (with and without articles), numerals appended
+    // in both spellings ("GTA V" → GTAV, GTA5, "GTA 5")
+    const num = words.find(isNumeralWord);
+    const initials = (ws) => ws.filter(w => !isNumeralWord(w))
+      .flatMap(w => w.match(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])|\p{L}+/gu) || [w])
+      .map(w => w[0]).join('');
+    const significant = (ws) => ws.filter(w => !TITLE_STOPWORDS.has(w.toLowerCase()));
+    const numbered = (letters) => { for (const n of [num, numeralVariant(num)]) if (n) { add(letters + n); add(letters + ' ' + n); } };
+    for (const letters of new Set([initials(significant(words)), initials(words)])) {
+      if (letters.length < 2) continue;
+      if (letters.length >= 3) add(letters);
+      if (num) numbered(letters);
+    }
+    // A numbered series inside a longer title: "Final Fantasy VII Remake" → FF7, FFVII
+    const at = words.findIndex(isNumeralWord);
+    if (at > 0 && at < words.length - 1) {
+      const letters = initials(significant(words.slice(0, at)));
+      if (letters.length >= 2) numbered(letters);
+    }
+  }
+
+  // Significant single words and their CamelCase parts
+  for (const w of titleWords(clean)) {
+    if (isNumeralWord(w) || TITLE_STOPWORDS.has(w.toLowerCase())) continue;
+    if (w.length >= 4) add(w);
+    for (const part of w.match(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])/g) || []) if (part.length >= 4) add(part);
+  }
+
+  // Related names: the full name, its first distinctive word ("Rockstar North"
+  // → "rockstar", not "north") and initials, keeping two-letter caps whole (CD PROJEKT RED → CDPR)
+  for (const name of related) {
+    const words = titleWords(name).filter(w => !COMPANY_STOPWORDS.has(w.toLowerCase()));
+    if (!words.length) continue;
+    add(titleWords(name).join(' '));
+    add(words.join(' '));
+    const lead = words.find(w => w.length >= 4 && !TITLE_STOPWORDS.has(w.toLowerCase()));
+    if (lead) add(lead);
+    if (words.length > 1) add(words.map(w => (/^[A-Z]{2}$/.test(w) ? w : w[0])).join(''));
+  }
+
+  return Array.from(out).sort((a, b) => b.length - a.length);
+}
+
+// Mask whole-word occurrences of tokens (any separator between words).
+// Returns { text, ratio } where ratio is the share of letters/digits masked;
+// onMask(match) is called for every masked occurrence.
+function maskTerms(text, tokens, onMask) {
+  const src = String(text || '');
+  if (!tokens || !tokens.length) return { text: src, ratio: 0 };
+  const alts = tokens.map(t => t.split(' ').map(escRe).join("[\\s\\-_:.'’]*"));
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alts.join('|')})(?:['’]s)?(?![\\p{L}\\p{N}])`, 'giu');
+  let masked = 0;
+  const out = src.replace(re, (m) => {
+    masked += (m.match(/[\p{L}\p{N}]/gu) || []).length;
+    if (onMask) onMask(m);
+    return '****';
+  });
+  const total = (src.match(/[\p{L}\p{N}]/gu) || []).length;
+  return { text: out, ratio: total ? masked / total : 0 };
+}
+
+// opts.extra: [{ source, tokens }] whole-word tokens masked after the handle
+//   (display name, caller-supplied terms); see maskTerms()
+// opts.masked: array that collects { source, token } for everything masked
+function redactBylineSystem(text, sourceUrl, opts = {}) {
   let out = String(text || '');
+  const seen = new Set();
+  const note = (source) => (m) => {
+    const token = String(m).trim().toLowerCase();
+    if (!opts.masked || seen.has(source + ' ' + token)) return '****';
+    seen.add(source + ' ' + token);
+    opts.masked.push({ source, token });
+    return '****';
+  };
 
   // Emails → ****
-  out = out.replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '****');
+  out = out.replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, note('email'));
 
   // Links/URLs → ****
-  out = out.replace(/\b(?:https?:\/\/|www\.)\S+/gi, '****');
+  out = out.replace(/\b(?:https?:\/\/|www\.)\S+/gi, note('url'));
 
   // Username-derived tokens → ****  (same strategy across platforms)
+  // The whole handle goes wherever it appears; a shorter piece of it only when
+  // the word it sits in is part of the handle or contains it ("streamer" and
+  // "smallstreamerTV" for smallstreamer, but not "stream" inside "streams")
   const user = usernameFromAnyUrl(sourceUrl);
   if (user) {
     const toks = redactionTokensFromUsername(user);
     if (toks.length) {
+      const base = user.toLowerCase().replace(/[^a-z0-9]/g, '');
       const re = new RegExp(toks.map(escRe).join('|'), 'gi');
-      out = out.replace(re, '****');
+      const mask = note('handle');
+      out = out.replace(re, (m, at, str) => {
+        if (m.toLowerCase() === base) return mask(m);
+        const before = str.slice(0, at).match(/[\p{L}\p{N}_.-]*$/u)[0];
+        const after = str.slice(at + m.length).match(/^[\p{L}\p{N}_.-]*/u)[0];
+        const word = (before + m + after).toLowerCase().replace(/[^a-z0-9]/g, '');
+        return base.includes(word) || word.includes(base) ? mask(m) : m;
+      });
     }
   }
 
+  // Display-name / caller terms → **** (whole words only)
+  for (const { source, tokens } of opts.extra || []) {
+    out = maskTerms(out, tokens, note(source)).text;
+  }
+
   return out.replace(/\s+/g, ' ').trim();
 }
 
@@ -205,7 +691,7 @@ function dedupeSentences(s){
 // --- Platform-aware extraction ----------------------------------------------
 // YouTube (About): "Description" → (Links | More info | Sign in | next heading | meta lines)
 // If nothing meaningful remains, return '' so the route 204s.
-function extractYouTubeMainByline(markdown, sourceUrl) {
+function extractYouTubeMainByline(markdown, sourceUrl, opts = {}) {
   const md = unwrapJina(markdown).replace(/\r\n/g, '\n');
 
   const lines = md.split('\n');
@@ -319,7 +805,7 @@ function extractYouTubeMainByline(markdown, sourceUrl) {
     .trim();
 
   // System-wide redaction (emails, URLs, username-derived tokens)
-  body = redactBylineSystem(body, sourceUrl);
+  body = redactBylineSystem(body, sourceUrl, opts);
 
   // Polish + clamp (200 everywhere)
   body = body.replace(/^(.{8,160}?)(?:\s+\1)+/i, '$1');
@@ -331,7 +817,7 @@ function extractYouTubeMainByline(markdown, sourceUrl) {
 }
 
 
-function extractTwitchAboutByline(markdown, sourceUrl) {
+function extractTwitchAboutByline(markdown, sourceUrl, opts = {}) {
   const md = unwrapJina(markdown);
 
   // 1) Jump to the "### About" section to avoid nav/header noise
@@ -349,7 +835,7 @@ function extractTwitchAboutByline(markdown, sourceUrl) {
       .replace(/\[[^\]]+\]\([^)]+\)/g, ' ')
       .replace(/\s+/g, ' ')
       .trim();
-    const red = redactBylineSystem(cleaned, sourceUrl);
+    const red = redactBylineSystem(cleaned, sourceUrl, opts);
     return clamp200(red);
   }
   let pos = m.index + m[0].length;
@@ -376,14 +862,76 @@ function extractTwitchAboutByline(markdown, sourceUrl) {
   let byline = lines.find(s => s && !/^(?:[-–•·]+|\*+)$/.test(s)) || '';
 
   // 🔒 System-wide redaction + polish + clamp
-  byline = redactBylineSystem(byline, sourceUrl);
+  byline = redactBylineSystem(byline, sourceUrl, opts);
   byline = dedupeSentences(byline);
   byline = dedupeHead(byline);
   byline = stripMaskedTail(byline);
   return clamp200(byline);
 }
 
-function extractGenericByline(markdown){
+// Kick (About): "About <name>" → (socials panel | chat rules | next heading)
+// Kick's About tab mixes the bio with link panels and the chat rules block;
+// keep only the bio lines before any of those start.
+function extractKickAboutByline(markdown, sourceUrl, opts = {}) {
+  const md = unwrapJina(markdown).replace(/\r\n/g, '\n');
+  const lines = md.split('\n');
+  const norm = (s) => String(s || '').trim();
+
+  const SOCIALS = /\b(instagram|youtube|twitter|discord|tiktok|facebook|snapchat|threads|x\.com)\b/i;
+
+  // Lines that end the bio block
+  const isStop = (s) => {
+    const t = norm(s).replace(/^#{1,6}\s*/, '');
+    return /^(chat rules|rules|videos|clips|recent broadcasts|past broadcasts|vods|related|recommended|socials?|links)\b/i.test(t) ||
+      /^\[?!\[/.test(t) ||                                   // image / panel
+      (/^\s*[-*]?\s*\[[^\]]*\]\([^)]+\)\s*$/.test(t) && SOCIALS.test(t)); // social link row
+  };
+  // Lines that are never bio text
+  const isNoise = (s) => {
+    const t = norm(s);
+    if (!t) return true;
+    if (/^\d[\d.,]*\s*[kKmM]?\s*(followers|subscribers|viewers)\b/i.test(t)) return true;
+    if (/^(follow|subscribe|gift subs?|share|report|verified)$/i.test(t)) return true;
+    if (/^[-–•·*]+$/.test(t)) return true;
+    if (/^\[[^\]]*\]\([^)]+\)$/.test(t)) return true;     // lone link
+    if (SOCIALS.test(t) && t.split(/\s+/).length <= 3) return true;
+    return false;
+  };
+
+  // --- find start ("About" heading, optionally "About <name>") ---
+  let start = -1;
+  for (let i = 0; i < lines.length; i++) {
+    if (/^\s*#{0,6}\s*About\b/i.test(lines[i]) && norm(lines[i]).length <= 80) { start = i + 1; break; }
+  }
+  if (start < 0) return '';
+
+  // --- collect bio lines up to the first boundary ---
+  const block = [];
+  for (let j = start; j < lines.length; j++) {
+    const cur = lines[j];
+    if (isStop(cur) || (/^\s*#{1,6}\s+\S/.test(cur) && block.length)) break;
+    if (isNoise(cur)) continue;
+    block.push(norm(cur));
+  }
+
+  let body = block.join(' ')
+    .replace(/\[[^\]]+\]\([^)]+\)/g, ' ')
+    .replace(/\((?:https?:\/\/|www\.)[^)]+\)/gi, ' ')
+    .replace(/\b(?:https?:\/\/|www\.)\S+/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!/[A-Za-z0-9]/.test(body)) return '';
+
+  // System-wide redaction + polish + clamp
+  body = redactBylineSystem(body, sourceUrl, opts);
+  body = body.replace(/^(.{8,160}?)(?:\s+\1)+/i, '$1');
+  body = dedupeSentences(body);
+  body = dedupeHead(body);
+  body = stripMaskedTail(body);
+  return clamp200(body);
+}
+
+function extractGenericByline(markdown, opts = {}){
   const txt = unwrapJina(markdown);
   const NAV = /^(home|videos|shorts|live|playlists|community|channels|store|members|about|description|search|subscriptions|popular|stats|links?|details?|location|joined|business|email|contact|creator|more)$/i;
   const BAD = /\b(cookie|cookies|consent|privacy|policy|analytics|partners|third[- ]party|marketing|targeting)\b/i;
@@ -404,36 +952,534 @@ function extractGenericByline(markdown){
     if (s > score) { score = s; best = p; }
   }
 
-  best = redactBylineSystem(best, '');      // apply system-wide redaction
+  best = redactBylineSystem(best, '', opts); // apply system-wide redaction
   best = dedupeSentences(best);
   best = dedupeHead(best);
   best = stripMaskedTail(best);
   return clamp200(best);
 }
 
-function extractBylineFor(url, markdown){
-  const u = String(url || '').toLowerCase();
-  if (/youtube\.com/.test(u))   return extractYouTubeMainByline(markdown, url);
-  if (/twitch\.tv/.test(u))     return extractTwitchAboutByline(markdown, url);
-  return extractGenericByline(markdown);
+const BYLINE_EXTRACTORS = [
+  { platform: 'youtube', name: 'youtube-about', test: /youtube\.com/i, extract: extractYouTubeMainByline },
+  { platform: 'twitch',  name: 'twitch-about',  test: /twitch\.tv/i,   extract: extractTwitchAboutByline },
+  { platform: 'kick',    name: 'kick-about',    test: /kick\.com/i,    extract: extractKickAboutByline },
+  { platform: 'generic', name: 'generic',       test: /./,             extract: (md, _url, opts) => extractGenericByline(md, opts) }
+];
+
+function bylineExtractorFor(url) {
+  const u = String(url || '');
+  return BYLINE_EXTRACTORS.find(x => x.test.test(u)) || BYLINE_EXTRACTORS[BYLINE_EXTRACTORS.length - 1];
+}
+
+function extractBylineFor(url, markdown, opts = {}){
+  return bylineExtractorFor(url).extract(markdown, url, opts);
+}
+
+// Channel display name from the fetched page ("Title: Maximilian Dood - YouTube"
+// in Jina's header, og:title for the direct fetcher). '' when it's just the platform.
+function displayNameFromPage(page) {
+  let t = page.title || '';
+  if (!t && page.format === 'markdown') t = (String(page.body || '').match(/^\s*Title:\s*(.+)$/im) || [])[1] || '';
+  t = decodeHtmlEntities(t)
+    .replace(/\s*[-|–—•]\s*(?:youtube|twitch|kick)(?:\.com|\.tv)?\b.*$/i, '')
+    .replace(/\s*(?:['’]s)?\s+(?:stream|channel|live stream)$/i, '')
+    .replace(/^\(\d+\)\s*/, '')                          // "(3) Name" notification counter
+    .trim();
+  if (!t || t.length > 80 || /^(youtube|twitch|kick)$/i.test(t)) return '';
+  return t;
+}
+
+/* ------------------------------ Page fetchers ---------------------------- */
+// A fetcher turns a page URL into something the byline code can read:
+//   fetch(url) → { body, format, title? }
+//     format 'markdown' goes through the platform extractors; 'text' is an
+//     already-isolated description that only needs redaction/polish. title is
+//     the page's own title when the fetcher sees one (og:title / <title>).
+// Fetchers throw on upstream failure so the chain can move on to the next one.
+const PAGE_FETCH_TIMEOUT_MS = Number(process.env.PAGE_FETCH_TIMEOUT_MS || 12000);
+
+function upstreamError(fetcher, status) {
+  return Object.assign(new Error(`${fetcher} HTTP ${status}`), { status });
+}
+
+function decodeHtmlEntities(s) {
+  return String(s || '')
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+// <meta property="og:description" content="..."> in any attribute order
+function metaContent(html, key) {
+  const re = new RegExp(`<meta\\b[^>]*(?:property|name)=["']${escRe(key)}["'][^>]*>`, 'i');
+  const tag = (String(html).match(re) || [])[0];
+  if (!tag) return '';
+  const m = tag.match(/\bcontent=(["'])([\s\S]*?)\1/i);
+  return m ? decodeHtmlEntities(m[2]).trim() : '';
+}
+
+// Platform boilerplate that og:description falls back to when a channel has no bio
+const DEFAULT_DESCRIPTIONS = [
+  /^share your videos with friends, family, and the world\.?$/i,
+  /^twitch is the world's leading video platform and community for gamers\.?$/i,
+  /^enjoy the videos and music you love/i
+];
+const isDefaultDescription = (s) => DEFAULT_DESCRIPTIONS.some(re => re.test(String(s || '').trim()));
+
+function youtubeDescriptionFromHtml(html) {
+  const m = String(html).match(/var ytInitialData\s*=\s*(\{[\s\S]*?\});\s*<\/script>/);
+  if (!m) return '';
+  try {
+    const data = JSON.parse(m[1]);
+    const direct = data?.metadata?.channelMetadataRenderer?.description;
+    if (direct) return String(direct);
+    // Newer About modal: aboutChannelViewModel.description somewhere in the tree
+    const j = m[1].match(/"aboutChannelViewModel":\{"description":"((?:[^"\\]|\\.)*)"/);
+    return j ? JSON.parse(`"${j[1]}"`) : '';
+  } catch { return ''; }
+}
+
+function jsonLdDescriptionFromHtml(html) {
+  const re = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(String(html)))) {
+    try {
+      const data = JSON.parse(m[1]);
+      for (const node of [].concat(data, data?.['@graph'] || [])) {
+        if (node && typeof node.description === 'string' && node.description.trim()) return decodeHtmlEntities(node.description);
+      }
+    } catch { /* next block */ }
+  }
+  return '';
+}
+
+const PAGE_FETCHERS = {
+  // r.jina.ai textified mirror (markdown)
+  jina: {
+    name: 'jina',
+    async fetch(url) {
+      const target = String(url).replace(/^https?:\/\//i, '');
+      const r = await upstreamFetch('jina', 'https://r.jina.ai/http://' + target, {
+        method: 'GET',
+        redirect: 'follow',
+        headers: { 'user-agent': 'byline-proxy/1.0', 'accept-language': 'en-US,en;q=0.9' },
+        signal: AbortSignal.timeout(PAGE_FETCH_TIMEOUT_MS)
+      });
+      if (!r.ok) throw upstreamError('jina', r.status);
+      let body = await r.text();
+      // Avoid huge strings causing memory spikes
+      if (body.length > 400_000) body = body.slice(0, 400_000);
+      return { body, format: 'markdown' };
+    }
+  },
+
+  // The page itself; description pulled from embedded metadata
+  direct: {
+    name: 'direct',
+    async fetch(url) {
+      const href = /^\/\//.test(url) ? 'https:' + url : url;
+      const r = await upstreamFetch('direct', href, {
+        method: 'GET',
+        redirect: 'follow',
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36',
+          'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.9'
+        },
+        signal: AbortSignal.timeout(PAGE_FETCH_TIMEOUT_MS)
+      });
+      if (!r.ok) throw upstreamError('direct', r.status);
+      const html = (await r.text()).slice(0, 2_000_000);
+
+      const u = String(url).toLowerCase();
+      const candidates = [
+        /youtube\.com/.test(u) ? youtubeDescriptionFromHtml(html) : '',
+        jsonLdDescriptionFromHtml(html),
+        metaContent(html, 'og:description'),
+        metaContent(html, 'twitter:description'),
+        metaContent(html, 'description')
+      ];
+      const body = candidates.map(s => String(s || '').trim()).find(s => s && !isDefaultDescription(s)) || '';
+      const title = metaContent(html, 'og:title') || decodeHtmlEntities((html.match(/<title[^>]*>([^<]*)<\/title>/i) || [])[1] || '').trim();
+      return { body, format: 'text', title };
+    }
+  }
+};
+
+// "jina,direct" → [fetcher, ...]; unknown names are ignored
+function parseFetcherChain(raw) {
+  const chain = String(raw || '').split(',').map(s => s.trim().toLowerCase())
+    .filter(Boolean).map(n => PAGE_FETCHERS[n]).filter(Boolean);
+  return chain.length ? chain : [PAGE_FETCHERS.jina];
+}
+const BYLINE_FETCHERS = parseFetcherChain(process.env.BYLINE_FETCHERS || 'jina,direct');
+
+// Walk the fetcher chain (and each fetcher over the candidate URLs) until
+// something answers. Resolves { page: { body, format, usedUrl, fetcher } | null, tried }.
+async function fetchPage(candidates, chain = BYLINE_FETCHERS) {
+  const tried = [];
+  for (const f of chain) {
+    for (const u of candidates) {
+      try {
+        const got = await f.fetch(u);
+        if (got) return { page: { ...got, usedUrl: u, fetcher: f.name }, tried };
+      } catch (e) {
+        tried.push({ fetcher: f.name, url: u, status: e && e.status || null, error: String(e && e.message || e) });
+      }
+    }
+  }
+  return { page: null, tried };
+}
+
+// Redaction options for one page: display-name tokens plus caller terms.
+// Pass { masked: [] } to collect what was masked.
+function bylineRedactionFor(page, { terms = [], masked } = {}) {
+  const extra = [];
+  const name = displayNameFromPage(page);
+  if (name) extra.push({ source: 'display-name', tokens: redactionTokensFromTitle(name) });
+  const termTokens = bylineTermTokens(terms);
+  if (termTokens.length) extra.push({ source: 'term', tokens: termTokens });
+  return { extra, masked };
+}
+
+function bylineTermTokens(terms) {
+  return Array.from(new Set(terms.flatMap(t => redactionTokensFromTitle(t)))).sort((a, b) => b.length - a.length);
+}
+
+// Caller terms on an extracted byline (the cache holds it without them);
+// masked collects { source: 'term', token } like bylineRedactionFor()
+function maskBylineTerms(byline, terms, masked) {
+  const tokens = bylineTermTokens(terms);
+  if (!byline || !tokens.length) return byline;
+  const seen = new Set();
+  const { text } = maskTerms(byline, tokens, (m) => {
+    const token = String(m).trim().toLowerCase();
+    if (seen.has(token)) return;
+    seen.add(token);
+    masked.push({ source: 'term', token });
+  });
+  return stripMaskedTail(text.replace(/\s+/g, ' ').trim());
+}
+
+// Byline from whatever fetchPage() produced; opts as for bylineRedactionFor()
+function bylineFromPage(page, opts = {}) {
+  const redaction = bylineRedactionFor(page, opts);
+  if (page.format === 'markdown') return extractBylineFor(page.usedUrl, page.body, redaction);
+  let body = String(page.body || '').replace(/\s+/g, ' ').trim();
+  if (!/[A-Za-z0-9]/.test(body)) return '';
+  body = redactBylineSystem(body, page.usedUrl, redaction);
+  body = body.replace(/^(.{8,160}?)(?:\s+\1)+/i, '$1');
+  body = dedupeSentences(body);
+  body = dedupeHead(body);
+  body = stripMaskedTail(body);
+  return clamp200(body);
+}
+
+/* ------------------------------ Response cache --------------------------- */
+// Small TTL cache shared by the proxy routes:
+// - LRU-bounded (max entries)
+// - concurrent get()s for one key share a single loader call
+// - expired entries are served while a background refresh runs (staleMs)
+// - optional JSON snapshot on disk so restarts don't start cold
+const snapshotCaches = [];
+
+function createCache({ name = 'cache', max = 1000, ttlMs = 60000, negativeTtlMs = ttlMs, staleMs = 0, isNegative = () => false, file = '' } = {}) {
+  const entries = new Map();  // key -> { value, expiresAt, staleUntil }
+  const inflight = new Map(); // key -> Promise<value>
+  let dirty = false;
+
+  function store(key, value) {
+    const now = Date.now();
+    const ttl = isNegative(value) ? negativeTtlMs : ttlMs;
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now + ttl, staleUntil: now + ttl + staleMs });
+    while (entries.size > max) entries.delete(entries.keys().next().value);
+    dirty = true;
+  }
+
+  function load(key, loader) {
+    if (inflight.has(key)) return inflight.get(key);
+    const p = Promise.resolve()
+      .then(loader)
+      .then((value) => { store(key, value); return value; })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  // Resolves { value, state: 'hit' | 'stale' | 'miss' }. Loader errors are never cached.
+  async function get(key, loader) {
+    const e = entries.get(key);
+    const now = Date.now();
+    if (e && now < e.expiresAt) {
+      entries.delete(key); entries.set(key, e); // LRU touch
+      return { value: e.value, state: 'hit' };
+    }
+    if (e && now < e.staleUntil) {
+      load(key, loader).catch(() => {}); // keep serving stale if the refresh fails
+      return { value: e.value, state: 'stale' };
+    }
+    if (e) entries.delete(key);
+    return { value: await load(key, loader), state: 'miss' };
+  }
+
+  function restore() {
+    if (!file) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const now = Date.now();
+      for (const [key, e] of Array.isArray(saved) ? saved : []) {
+        if (e && now < e.staleUntil) entries.set(key, e);
+      }
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+      log.info('cache restored', { cache: name, entries: entries.size, file });
+    } catch (e) {
+      if (e && e.code !== 'ENOENT') log.warn('cache restore failed', { cache: name, file, error: e.message || String(e) });
+    }
+  }
+
+  // Write the snapshot now (only if something changed since the last one)
+  function flush() {
+    if (!file || !dirty) return;
+    try {
+      const tmp = file + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify(Array.from(entries)));
+      fs.renameSync(tmp, file);
+      dirty = false;
+    } catch (e) {
+      log.warn('cache save failed', { cache: name, file, error: e && e.message ? e.message : String(e) });
+    }
+  }
+
+  const cache = {
+    name,
+    get,
+    // Would get() answer without going upstream (a hit, not stale)?
+    fresh: (key) => { const e = entries.get(key); return Boolean(e && Date.now() < e.expiresAt); },
+    delete: (key) => { dirty = entries.delete(key) || dirty; },
+    clear: () => { entries.clear(); dirty = true; },
+    get size() { return entries.size; },
+    flush
+  };
+
+  if (file) {
+    restore();
+    setInterval(flush, 5 * 60 * 1000).unref();
+    snapshotCaches.push(cache);
+  }
+  return cache;
+}
+
+// Every cache with a snapshot file; the server's shutdown calls this
+function flushCaches() {
+  for (const c of snapshotCaches) c.flush();
+}
+
+/* -------------------------------- Metrics -------------------------------- */
+// Prometheus text format at GET /metrics (METRICS_TOKEN set → Bearer required).
+// Hand-rolled registry: counters, gauges (optionally computed at scrape time
+// via collect) and histograms, each with a fixed set of label names.
+// Rates ("chat events per second") are rate() over the *_total counters.
+const METRICS_TOKEN = (process.env.METRICS_TOKEN || '').trim();
+const metricsRegistry = [];
+
+// Constant-time "Authorization: Bearer <secret>" check (operator endpoints)
+function bearerMatches(req, secret) {
+  const got = Buffer.from(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const want = Buffer.from(String(secret || ''));
+  return want.length > 0 && got.length === want.length && crypto.timingSafeEqual(got, want);
+}
+
+const promEscape = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+function promLabels(names, values, extra) {
+  const parts = names.map((n, i) => `${n}="${promEscape(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function createMetric(type, name, help, { labels = [], buckets = [], collect = null } = {}) {
+  const series = new Map(); // label values joined → { values, value } (+ counts/sum/count for histograms)
+  function at(l = {}) {
+    const values = labels.map(n => (l[n] == null ? '' : String(l[n])));
+    const key = values.join('\u0001');
+    let s = series.get(key);
+    if (!s) {
+      s = { values, value: 0 };
+      if (type === 'histogram') Object.assign(s, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      series.set(key, s);
+    }
+    return s;
+  }
+
+  const metric = {
+    inc(l, n = 1) { at(l).value += n; },
+    dec(l, n = 1) { at(l).value -= n; },
+    set(l, v) { at(l).value = v; },
+    observe(l, v) {
+      const s = at(l);
+      s.sum += v;
+      s.count++;
+      buckets.forEach((b, i) => { if (v <= b) s.counts[i]++; });
+    },
+    // Returns done(); call it when the measured thing finishes
+    startTimer(l) {
+      const t0 = process.hrtime.bigint();
+      return () => metric.observe(l, Number(process.hrtime.bigint() - t0) / 1e9);
+    },
+    render() {
+      if (collect) { series.clear(); collect(metric); }
+      const out = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+      for (const s of series.values()) {
+        if (type !== 'histogram') { out.push(`${name}${promLabels(labels, s.values)} ${s.value}`); continue; }
+        buckets.forEach((b, i) => out.push(`${name}_bucket${promLabels(labels, s.values, `le="${b}"`)} ${s.counts[i]}`));
+        out.push(`${name}_bucket${promLabels(labels, s.values, 'le="+Inf"')} ${s.count}`);
+        out.push(`${name}_sum${promLabels(labels, s.values)} ${s.sum}`);
+        out.push(`${name}_count${promLabels(labels, s.values)} ${s.count}`);
+      }
+      return out.join('\n');
+    }
+  };
+  metricsRegistry.push(metric);
+  return metric;
+}
+
+// Every platform shows up, at 0 when it has no rooms
+const ROOM_PLATFORMS = ['tiktok', 'twitch'];
+function countRoomsByPlatform(m, pred) {
+  for (const platform of ROOM_PLATFORMS) m.set({ platform }, 0);
+  for (const r of rooms.values()) if (pred(r)) m.inc({ platform: r.platform });
+}
+
+const metrics = {
+  streamClients: createMetric('gauge', 'relay_stream_clients', 'Open /tiktok-sse and /tiktok-ws client streams.', { labels: ['transport'] }),
+  tiktokRooms: createMetric('gauge', 'tiktok_rooms', 'Rooms with at least one subscriber or in their idle grace period, by platform (tiktok / twitch).', {
+    labels: ['platform'],
+    collect: (m) => countRoomsByPlatform(m, () => true)
+  }),
+  tiktokConnectors: createMetric('gauge', 'tiktok_upstream_connectors', 'Rooms with a connected upstream connector, by platform.', {
+    labels: ['platform'],
+    collect: (m) => countRoomsByPlatform(m, r => r.connectedAt)
+  }),
+  connectAttempts: createMetric('counter', 'tiktok_connect_attempts_total', 'Upstream connect attempts by platform and reason (trigger, or the retry reason that queued them).', { labels: ['platform', 'reason'] }),
+  connectSuccesses: createMetric('counter', 'tiktok_connect_successes_total', 'Upstream connects that succeeded, by platform and the reason of their attempt.', { labels: ['platform', 'reason'] }),
+  connectFailures: createMetric('counter', 'tiktok_connect_failures_total', 'Retries scheduled, by platform and the reason passed to schedule().', { labels: ['platform', 'reason'] }),
+  scrapes: createMetric('counter', 'tiktok_scrape_total', 'TikTok profile scrapes by outcome (validated / unvalidated / page-trust / none).', { labels: ['from'] }),
+  eventsForwarded: createMetric('counter', 'tiktok_events_forwarded_total', 'Data events forwarded live to watched rooms, once per event (not per client), by platform and type.', { labels: ['platform', 'type'] }),
+  bylineRequests: createMetric('counter', 'byline_requests_total', '/byline requests by platform and HTTP status.', { labels: ['platform', 'outcome'] }),
+  watchedUsers: createMetric('gauge', 'tiktok_watched_users', 'Users on the go-live watch list, by last seen state.', {
+    labels: ['state'],
+    collect: (m) => { for (const w of watcher.list()) m.inc({ state: w.state }); }
+  }),
+  tiktokSessions: createMetric('gauge', 'tiktok_sessions', 'Pooled TikTok session ids by health (healthy / sidelined).', {
+    labels: ['state'],
+    collect: (m) => { for (const s of tiktokSessions.view()) m.inc({ state: s.state }); }
+  }),
+  webhookDeliveries: createMetric('counter', 'watch_webhook_deliveries_total', 'Go-live webhook deliveries by final outcome (delivered / failed).', { labels: ['outcome'] }),
+  upstreamLatency: createMetric('histogram', 'upstream_request_duration_seconds', 'Time to response headers for upstream calls.', {
+    labels: ['upstream'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20]
+  })
+};
+
+// fetch() to an upstream: timed into upstream_request_duration_seconds and
+// logged as { upstream, target, status, durationMs } (target without query).
+// fetchImpl lets the TikTok calls go through their injectable hook.
+async function upstreamFetch(upstream, url, init, fetchImpl = _fetch) {
+  const started = process.hrtime.bigint();
+  const done = metrics.upstreamLatency.startTimer({ upstream });
+  let target = String(url);
+  try { const u = new URL(target); target = u.origin + u.pathname; } catch {}
+  const record = (status, error) => {
+    done();
+    const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+    const level = error || status >= 500 ? 'warn' : 'debug';
+    log[level]('upstream', { upstream, target, status, durationMs, ...(error ? { error: String(error.message || error) } : {}) });
+  };
+  try {
+    const r = await fetchImpl(url, init);
+    record(r.status);
+    return r;
+  } catch (e) {
+    record(null, e);
+    throw e;
+  }
 }
 
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && !bearerMatches(req, METRICS_TOKEN)) return res.status(401).type('text/plain').send('Unauthorized');
+  res.set('Cache-Control', 'no-store');
+  res.type('text/plain; version=0.0.4').send(metricsRegistry.map(m => m.render()).join('\n\n') + '\n');
+});
+
 /* ------------------------------ Healthcheck ------------------------------ */
 app.get('/', (_req, res) => res.type('text/plain').send('TikTok SSE relay & Byline proxy OK'));
 
 /* ------------------------------- BYLINE API ------------------------------ */
 /**
- * GET /byline?u=<absolute URL>
- * - No fallback attempts. We fetch Jina's textified mirror exactly once.
- * - On success: 200 text/plain (raw text body from Jina).
- * - On any failure: 4xx/5xx JSON; client should treat as "hint unavailable".
+ * GET /byline?u=<absolute URL>[&terms=a,b]   (or POST /byline, JSON body with the same fields)
+ * - Pages come from the BYLINE_FETCHERS chain (default "jina,direct"): Jina's
+ *   textified mirror first, the page's own HTML metadata if Jina fails.
+ * - On success: 200 text/plain (the byline). X-Byline-Fetcher names the source.
+ * - On any failure: 4xx/5xx; client should treat as "hint unavailable".
+ * - Besides the handle, the channel's display name and any caller-supplied
+ *   terms (real name, catchphrase...) are masked as whole words.
+ * - ?format=json answers { byline, platform, extractor, masked: [{ source, token }] }
+ *   so callers can see what was hidden and tune the hint's difficulty.
+ * - ?debug=1 answers JSON with the byline, fetcher and failed attempts.
+ * - Extracted bylines (and 204 "no byline" results) are cached server-side,
+ *   one entry per page whatever the terms (masked per request);
+ *   X-Cache reports HIT / STALE / MISS. ?raw=1 always goes upstream.
  */
+const bylineCache = createCache({
+  name: 'byline',
+  max: Number(process.env.BYLINE_CACHE_MAX || 2000),
+  ttlMs: Number(process.env.BYLINE_CACHE_TTL_MS || 6 * 60 * 60 * 1000),
+  negativeTtlMs: Number(process.env.BYLINE_CACHE_NEG_TTL_MS || 30 * 60 * 1000),
+  staleMs: Number(process.env.BYLINE_CACHE_STALE_MS || 24 * 60 * 60 * 1000),
+  isNegative: (v) => !v || !v.byline,
+  file: process.env.BYLINE_CACHE_FILE || ''
+});
+
+// https://www.YouTube.com/@Foo/about/ → youtube.com/@foo/about
+function bylineCacheKey(u) {
+  return String(u || '')
+    .replace(/^(?:https?:)?\/\//i, '')
+    .replace(/^www\./i, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+}
+
+const BYLINE_TERMS_MAX = 20;
+
+// "a, b" | ['a', 'b'] → ['a', 'b'] (trimmed, de-duplicated, capped)
+function parseBylineTerms(raw) {
+  const list = [].concat(raw || []).flatMap(t => String(t).split(','));
+  const seen = new Set();
+  const out = [];
+  for (const t of list) {
+    const term = t.replace(/\s+/g, ' ').trim().slice(0, 80);
+    if (!term || seen.has(term.toLowerCase())) continue;
+    seen.add(term.toLowerCase());
+    out.push(term);
+    if (out.length >= BYLINE_TERMS_MAX) break;
+  }
+  return out;
+}
+
+// Query string, overlaid by the JSON body on POST
+const bylineParams = (req) => ({ ...req.query, ...(req.method === 'POST' && req.body && typeof req.body === 'object' ? req.body : {}) });
+const bylineJson = express.json({ limit: '16kb' });
+
 // --- Byline proxy: YT uses MAIN page; sanitize; single attempt; no client fallback ------
-app.get('/byline', async (req, res) => {
+async function handleByline(req, res) {
   try {
     setCORS(req, res); // belt & suspenders
+    const params = bylineParams(req);
 
-    let rawUrl = String(req.query.u || '').trim();
+    let rawUrl = String(params.u || '').trim();
     if (!rawUrl) return res.status(400).type('text/plain').send('Missing u');
 
     // Only known platforms (YouTube, Twitch, Kick)
@@ -442,12 +1488,15 @@ app.get('/byline', async (req, res) => {
 
     // Normalize and set up YouTube About → Main fallback
     const isYT = /youtube\.com/i.test(rawUrl);
-    if (isYT) {
+    const isKick = /kick\.com/i.test(rawUrl);
+    if (isYT || isKick) {
       rawUrl = rawUrl.replace(/[?#].*$/, '').replace(/\/$/, '');
     }
 
-    const rawFlag   = String(req.query.raw   || '') === '1';
-    const debugFlag = String(req.query.debug || '') === '1';
+    const rawFlag   = String(params.raw   || '') === '1';
+    const debugFlag = String(params.debug || '') === '1';
+    const jsonFlag  = String(params.format || '').toLowerCase() === 'json';
+    const terms     = parseBylineTerms(params.terms);
 
     // Build candidate URLs: YouTube = About page only (no main fallback)
 	let candidates = [rawUrl];
@@ -455,58 +1504,84 @@ app.get('/byline', async (req, res) => {
 	  const base = rawUrl.replace(/\/about(?:$|[\/?#].*)/i, '');
 	  candidates = [base + '/about'];
 	}
+	// Kick: bio lives on the channel's About tab
+	if (isKick) {
+	  const m = rawUrl.match(/^((?:https?:)?\/\/(?:www\.)?kick\.com\/[^\/?#]+)/i);
+	  if (m) candidates = [m[1] + '/about'];
+	}
 
-    let usedUrl = null;
-    let md = '';
-    let fetchedOk = false;  // was "let ok = false"
-
-    // Try candidates until one succeeds
-    for (const u of candidates) {
-      const target = u.replace(/^https?:\/\//i, '');
-      const jina   = 'https://r.jina.ai/http://' + target;
-
-      const r = await _fetch(jina, {
-        method: 'GET',
-        redirect: 'follow',
-        headers: { 'user-agent': 'byline-proxy/1.0', 'accept-language': 'en-US,en;q=0.9' }
-      });
-
-      if (!r.ok) continue;
-
-      usedUrl = u;
-      md = await r.text();
-      fetchedOk = true;     // was "ok = true"
-      break;
+    // Return the raw fetched page for debugging when ?raw=1 (never cached)
+    if (rawFlag) {
+      const { page } = await fetchPage(candidates);
+      setCORS(req, res);
+      if (!page) return res.status(502).type('text/plain').send('Fetch failed');
+      res.set('Cache-Control', 'no-store');
+      res.set('X-Byline-Fetcher', page.fetcher);
+      return res.type('text/plain').send(page.body);
     }
 
-    if (!fetchedOk) {       // was "if (!ok)"
+    let cached;
+    try {
+      // One entry per page, extracted without caller terms; those are masked per request below
+      cached = await bylineCache.get(bylineCacheKey(candidates[0]), async () => {
+        const { page, tried } = await fetchPage(candidates);
+        if (!page) throw Object.assign(new Error('Fetch failed'), { code: 'FETCH_FAILED', tried });
+        // IMPORTANT: bylineFromPage uses the actual URL we fetched (About or Main)
+        const masked = [];
+        const byline = bylineFromPage(page, { masked });
+        const ex = bylineExtractorFor(page.usedUrl);
+        return {
+          byline, usedUrl: page.usedUrl, length: page.body.length, fetcher: page.fetcher, tried,
+          platform: ex.platform,
+          extractor: page.format === 'markdown' ? ex.name : 'metadata',
+          displayName: displayNameFromPage(page) || null,
+          masked,
+          fetchedAt: Date.now()
+        };
+      });
+    } catch (e) {
+      if (!e || e.code !== 'FETCH_FAILED') throw e;
       setCORS(req, res);
+      if (debugFlag || jsonFlag) return res.status(502).json({ error: 'fetch_failed', tried: e.tried || [] });
       return res.status(502).type('text/plain').send('Fetch failed');
     }
 
-    // Return the raw Jina text for debugging when ?raw=1
-    if (rawFlag) {
-      if (md.length > 400_000) md = md.slice(0, 400_000);
-      res.set('Cache-Control', 'no-store');
+    const { usedUrl, length, fetcher, tried } = cached.value;
+    const masked = (cached.value.masked || []).slice();
+    const byline = maskBylineTerms(cached.value.byline, terms, masked);
+    res.set('X-Cache', cached.state.toUpperCase());
+    if (fetcher) res.set('X-Byline-Fetcher', fetcher);
+
+    // Redaction report (200 even without a byline so callers always get the shape)
+    if (jsonFlag && !debugFlag) {
+      const v = cached.value;
       setCORS(req, res);
-      return res.type('text/plain').send(md);
+      res.set('Cache-Control', byline ? 'public, max-age=3600' : 'no-store');
+      return res.status(200).json({
+        byline: byline || null,
+        platform: v.platform || bylineExtractorFor(usedUrl || rawUrl).platform,
+        extractor: v.extractor || null,
+        fetcher: fetcher || null,
+        displayName: v.displayName || null,
+        terms,
+        masked,
+        cache: cached.state
+      });
     }
 
-    // Avoid huge strings causing memory spikes
-    if (md.length > 400_000) md = md.slice(0, 400_000);
-
-    // IMPORTANT: pass the actual URL we used (About or Main) so the extractor knows
-    const byline = extractBylineFor(usedUrl || rawUrl, md);
+    if (debugFlag) {
+      setCORS(req, res);
+      return res.status(200).json({
+        ...(byline ? { byline } : { note: 'no-byline' }),
+        usedUrl: usedUrl || rawUrl,
+        length,
+        fetcher: fetcher || null,
+        tried: tried || [],
+        cache: cached.state
+      });
+    }
 
     if (!byline) {
-      if (debugFlag) {
-        setCORS(req, res);
-        return res.status(200).json({
-          note: 'no-byline',
-          usedUrl: usedUrl || rawUrl,
-          length: md.length
-        });
-      }
       setCORS(req, res);
       return res.status(204).end();
     }
@@ -515,11 +1590,24 @@ app.get('/byline', async (req, res) => {
     setCORS(req, res);
     return res.type('text/plain').send(byline);
   } catch (e) {
-    console.error('byline error:', e && e.message ? e.message : e);
+    log.error('byline error', { error: e && e.message ? e.message : String(e) });
     setCORS(req, res);
     return res.status(503).type('text/plain').send('Unavailable');
   }
-});
+}
+
+const bylineRate = rateLimit('byline', req => bylineCacheKey(bylineParams(req).u));
+// byline_requests_total, counted once the response (including 429s) is out
+const bylineMetrics = (req, res, next) => {
+  res.on('finish', () => {
+    const u = String(bylineParams(req).u || '');
+    const platform = /youtube\.com|twitch\.tv|kick\.com/i.test(u) ? bylineExtractorFor(u).platform : 'other';
+    metrics.bylineRequests.inc({ platform, outcome: String(res.statusCode) });
+  });
+  next();
+};
+app.get('/byline', bylineMetrics, bylineRate, handleByline);
+app.post('/byline', bylineJson, bylineMetrics, bylineRate, handleByline);
 
 /* ------------------------------ TikTok SSE ------------------------------- */
 /** SSE endpoint: /tiktok-sse?user=keyaogames */
@@ -557,7 +1645,26 @@ function serializeErr(e) {
   }
 }
 
-// Extract Set-Cookie headers across fetch implementations
+// Everything that talks to TikTok goes through these two hooks, so tests can
+// point the relay at a local stand-in (see test/support/fake-tiktok.js):
+//   fetch(url, init)                  → fetch-compatible Response
+//   createConnector(user, options)    → WebcastPushConnection-like emitter with
+//                                       connect(roomId) / disconnect()
+const tiktokUpstream = {
+  fetch: (...args) => _fetch(...args),
+  createConnector: (user, options) => new WebcastPushConnection(user, options)
+};
+
+// Swap hooks in; returns a function that restores the previous ones
+function setTikTokUpstream(overrides = {}) {
+  const prev = { ...tiktokUpstream };
+  for (const k of Object.keys(tiktokUpstream)) {
+    if (typeof overrides[k] === 'function') tiktokUpstream[k] = overrides[k];
+  }
+  return () => Object.assign(tiktokUpstream, prev);
+}
+
+// Extract Set-Cookie headers across fetch implementations
 function getSetCookieArray(resp) {
   try {
     if (resp && typeof resp.headers?.getSetCookie === 'function') {
@@ -572,46 +1679,6 @@ function getSetCookieArray(resp) {
   } catch { return []; }
 }
 
-// Parse cookie strings into a map
-function parseCookies(setCookieArr) {
-  const jar = {};
-  for (const line of (setCookieArr || [])) {
-    const pair = String(line).split(';')[0];
-    const i = pair.indexOf('=');
-    if (i > 0) {
-      const name = pair.slice(0, i).trim();
-      const val  = pair.slice(i + 1).trim();
-      if (name && val) jar[name] = val;
-    }
-  }
-  return jar;
-}
-
-// Try to get useful TikTok cookies (ttwid, odin_tt, etc.) to reduce rejections
-async function getTikTokCookieHeader(user, baseHeaders) {
-  const urls = [
-    `https://www.tiktok.com/@${encodeURIComponent(user)}/live`,
-    `https://www.tiktok.com/@${encodeURIComponent(user)}`,
-    `https://www.tiktok.com/`
-  ];
-  const jar = {};
-  for (const url of urls) {
-    try {
-      const r = await _fetch(url, { method: 'GET', headers: baseHeaders, redirect: 'follow' });
-      const arr = getSetCookieArray(r);
-      const got = parseCookies(arr);
-      Object.assign(jar, got);
-      if (jar.ttwid) break; // usually enough
-    } catch {}
-  }
-  const parts = [];
-  if (jar.ttwid) parts.push(`ttwid=${jar.ttwid}`);
-  if (jar.odin_tt) parts.push(`odin_tt=${jar.odin_tt}`);
-  if (jar['tt_csrf_token']) parts.push(`tt_csrf_token=${jar['tt_csrf_token']}`);
-  if (jar['s_v_web_id']) parts.push(`s_v_web_id=${jar['s_v_web_id']}`);
-  return parts.join('; ');
-}
-
 // Robustly scrape a TikTok @user page to find the current roomId.
 // If opts.validate === false, we trust the page and return the first roomId found
 // without calling the webcast API. Also returns streamId + pageLive + regionHint.
@@ -620,12 +1687,14 @@ async function scrapeRoomIdFromWebProfile(user, headers, opts = { validate: true
   const urlHome = `https://www.tiktok.com/@${encodeURIComponent(user)}`;
 
   async function grab(url) {
-    const r = await _fetch(url, { method: 'GET', headers, redirect: 'follow' });
+    const r = await upstreamFetch('tiktok', url, { method: 'GET', headers, redirect: 'follow' }, tiktokUpstream.fetch);
+    tiktokCookies.absorb(r);
     const text = await r.text();
     return { ok: r.ok, text, status: r.status };
   }
 
   const candidates = [];
+  let pageOk = false; // some page answered 200 with a body (vs. blocked / unreachable)
   let seenStreamId = null;
   let pageSaysLive = null;
   let regionHint = null;
@@ -634,6 +1703,7 @@ async function scrapeRoomIdFromWebProfile(user, headers, opts = { validate: true
     try {
       const { ok, text } = await grab(url);
       if (!ok || !text) continue;
+      pageOk = true;
 
       // Heuristic for region: look for CDN hosts in the HTML quickly
       if (!regionHint) {
@@ -688,10 +1758,11 @@ async function scrapeRoomIdFromWebProfile(user, headers, opts = { validate: true
   }
 
   const uniq = Array.from(new Set(candidates));
-  if (!uniq.length) return { roomId: null, streamId: seenStreamId, pageLive: false, isLive: false, regionHint, from: null };
+  const done = (r) => { metrics.scrapes.inc({ from: r.from || 'none' }); return { ...r, pageOk }; };
+  if (!uniq.length) return done({ roomId: null, streamId: seenStreamId, pageLive: false, isLive: false, regionHint, from: null });
 
   if (opts.validate === false) {
-    return { roomId: uniq[0], streamId: seenStreamId, pageLive: pageSaysLive ?? true, isLive: pageSaysLive ?? true, regionHint, from: 'page-trust' };
+    return done({ roomId: uniq[0], streamId: seenStreamId, pageLive: pageSaysLive ?? true, isLive: pageSaysLive ?? true, regionHint, from: 'page-trust' });
   }
 
   // Validate candidates via webcast
@@ -699,23 +1770,23 @@ async function scrapeRoomIdFromWebProfile(user, headers, opts = { validate: true
     try {
       const check = await getWebcastRoomStatus(rid, { ...headers, Host: 'webcast.tiktok.com' });
       if (check && check.live) {
-        return { roomId: rid, streamId: seenStreamId, pageLive: pageSaysLive, isLive: true, regionHint, from: 'validated' };
+        return done({ roomId: rid, streamId: seenStreamId, pageLive: pageSaysLive, isLive: true, regionHint, from: 'validated' });
       }
     } catch { /* try next candidate */ }
   }
 
-  return { roomId: uniq[0], streamId: seenStreamId, pageLive: pageSaysLive, isLive: false, regionHint, from: 'unvalidated' };
+  return done({ roomId: uniq[0], streamId: seenStreamId, pageLive: pageSaysLive, isLive: false, regionHint, from: 'unvalidated' });
 }
 
 // Check if a roomId is actually live via the webcast API
 async function getWebcastRoomStatus(roomId, headers) {
   try {
     const url = `https://webcast.tiktok.com/webcast/room/info/?aid=1988&room_id=${encodeURIComponent(roomId)}`;
-    const r = await _fetch(url, {
+    const r = await upstreamFetch('tiktok', url, {
       method: 'GET',
       headers: { ...headers, Host: 'webcast.tiktok.com', Accept: 'application/json, text/plain, */*' },
       redirect: 'follow'
-    });
+    }, tiktokUpstream.fetch);
     const data = await r.json().catch(() => null);
     const status =
       data?.data?.room_info?.status ??
@@ -728,53 +1799,706 @@ async function getWebcastRoomStatus(roomId, headers) {
   }
 }
 
-/* ------------------------------ TikTok SSE ------------------------------- */
-app.get('/tiktok-sse', async (req, res) => {
-  setCORS(req, res);
+/* ------------------------- TikTok cookies & sessions ------------------------ */
+// One cookie jar for every room: the anonymous cookies TikTok hands out
+// (ttwid, odin_tt, s_v_web_id, ...) are kept until they expire and reused
+// across reconnects and users, and the msToken lives as long as a browser's
+// would instead of being rolled per connect.
+//   TIKTOK_COOKIE_JAR_FILE        persist the jar here, JSON (default: memory only)
+//   TIKTOK_COOKIE_DEFAULT_TTL_MS  lifetime of cookies sent without Expires/Max-Age (default 6h)
+// Logged-in sessions come from a pool, rotated when TikTok refuses one:
+//   TIKTOK_SESSIONIDS             comma-separated sessionid values (TIKTOK_SESSIONID is added to them)
+//   TIKTOK_SESSION_MAX_FAILURES   consecutive refusals before a session is sidelined (default 3)
+//   TIKTOK_SESSION_SIDELINE_MS    how long a sidelined session sits out (default 1800000)
+// Only a refusal that names the login (session, auth, sign-in) counts against a
+// session; timeouts, ended LIVEs and IP blocks just move the room to the next one.
+// Rooms keep the session they connected with; with none healthy they connect anonymously.
+// Sessions are only ever named by label (first 8 hex of their sha256), and
+// every value is registered with the log redaction.
+const TIKTOK_JAR_COOKIES = ['ttwid', 'odin_tt', 'tt_csrf_token', 's_v_web_id', 'msToken'];
+const TIKTOK_COOKIE_JAR_FILE = process.env.TIKTOK_COOKIE_JAR_FILE || '';
+const TIKTOK_COOKIE_DEFAULT_TTL_MS = Number(process.env.TIKTOK_COOKIE_DEFAULT_TTL_MS || 6 * 3600 * 1000);
+const TIKTOK_MSTOKEN_TTL_MS = 24 * 3600 * 1000;
+const TIKTOK_SESSION_MAX_FAILURES = Math.max(1, Number(process.env.TIKTOK_SESSION_MAX_FAILURES || 3));
+const TIKTOK_SESSION_SIDELINE_MS = Number(process.env.TIKTOK_SESSION_SIDELINE_MS || 30 * 60 * 1000);
+const TIKTOK_SESSION_REFUSAL_RE = /\b(?:session(?:id)?|log(?:ged)?[ -]?in|sign(?:ed)?[ -]?in|auth\w*|unauthori[sz]ed|401)\b/i;
+
+// "name=value; Path=/; Max-Age=60" → { name, value, expiresAt } (Max-Age wins over Expires; null if none)
+function parseSetCookie(line) {
+  const [pair, ...attrs] = String(line).split(';');
+  const i = pair.indexOf('=');
+  if (i <= 0) return null;
+  const cookie = { name: pair.slice(0, i).trim(), value: pair.slice(i + 1).trim(), expiresAt: null };
+  let expires = null;
+  for (const attr of attrs) {
+    const [k, ...rest] = attr.split('=');
+    const v = rest.join('=').trim();
+    if (/^\s*max-age\s*$/i.test(k) && /^-?\d+$/.test(v)) cookie.expiresAt = Date.now() + Number(v) * 1000;
+    else if (/^\s*expires\s*$/i.test(k) && !Number.isNaN(Date.parse(v))) expires = Date.parse(v);
+  }
+  if (cookie.expiresAt == null) cookie.expiresAt = expires;
+  return cookie.name ? cookie : null;
+}
 
-  const user = String(req.query.user || '').trim().toLowerCase();
-  if (!user) return res.status(400).json({ error: 'Missing ?user=' });
+function makeMsToken() {
+  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let t = '';
+  for (let i = 0; i < 107; i++) t += chars[crypto.randomInt(chars.length)];
+  return t;
+}
 
-  // SSE headers
-  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
-  res.setHeader('Cache-Control', 'no-cache, no-transform');
-  res.setHeader('X-Accel-Buffering', 'no');
-  res.setHeader('Connection', 'keep-alive');
-  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+function createCookieJar({ file }) {
+  const cookies = new Map(); // name -> { value, expiresAt, storedAt }
+
+  function live(name) {
+    const c = cookies.get(name);
+    if (c && c.expiresAt <= Date.now()) { forget(name); return null; }
+    return c || null;
+  }
+
+  function forget(name) {
+    const c = cookies.get(name);
+    if (!c) return;
+    cookies.delete(name);
+    dropLogSecret(c.value);
+  }
+
+  function set(name, value, expiresAt) {
+    const prev = cookies.get(name);
+    if (prev && prev.value !== value) dropLogSecret(prev.value);
+    if (!value || expiresAt <= Date.now()) return forget(name);
+    cookies.set(name, { value, expiresAt, storedAt: Date.now() });
+    addLogSecret(value);
+  }
 
-  const send = (event, data) => {
+  function persist() {
+    if (!file) return;
     try {
-      res.write(`event: ${event}\n`);
-      res.write(`data: ${JSON.stringify(data)}\n\n`);
-    } catch (_) {}
+      const tmp = file + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify({ cookies: Object.fromEntries(cookies) }, null, 2), { mode: 0o600 });
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      log.warn('cookie jar save failed', { file, error: e && e.message ? e.message : String(e) });
+    }
+  }
+
+  function restore() {
+    if (!file) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      for (const [name, c] of Object.entries((saved && saved.cookies) || {})) {
+        if (TIKTOK_JAR_COOKIES.includes(name) && c && typeof c.value === 'string') set(name, c.value, Number(c.expiresAt));
+      }
+      log.info('cookie jar restored', { cookieNames: Array.from(cookies.keys()), file });
+    } catch (e) {
+      if (e && e.code !== 'ENOENT') log.warn('cookie jar restore failed', { file, error: e.message || String(e) });
+    }
+  }
+
+  // Keep the jar's cookies from a TikTok response; returns how many changed
+  function absorb(resp) {
+    let changed = 0;
+    for (const line of getSetCookieArray(resp)) {
+      const c = parseSetCookie(line);
+      if (!c || !TIKTOK_JAR_COOKIES.includes(c.name)) continue;
+      if (live(c.name)?.value === c.value) continue;
+      set(c.name, c.value, c.expiresAt ?? Date.now() + TIKTOK_COOKIE_DEFAULT_TTL_MS);
+      changed++;
+    }
+    if (changed) persist();
+    return changed;
+  }
+
+  // The stored msToken, or a fresh one kept for a day
+  function msToken() {
+    const c = live('msToken');
+    if (c) return c.value;
+    const value = makeMsToken();
+    set('msToken', value, Date.now() + TIKTOK_MSTOKEN_TTL_MS);
+    persist();
+    return value;
+  }
+
+  // "ttwid=...; odin_tt=...; msToken=..." with everything still valid (msToken always)
+  function header() {
+    msToken();
+    return TIKTOK_JAR_COOKIES.map(name => live(name)).map((c, i) => c && `${TIKTOK_JAR_COOKIES[i]}=${c.value}`).filter(Boolean).join('; ');
+  }
+
+  // Names and lifetimes only, never values
+  function view() {
+    return TIKTOK_JAR_COOKIES.filter(name => live(name)).map(name => {
+      const c = cookies.get(name);
+      return { name, storedAt: isoOrNull(c.storedAt), expiresAt: isoOrNull(c.expiresAt) };
+    });
+  }
+
+  restore();
+
+  return {
+    absorb,
+    has: (name) => Boolean(live(name)),
+    msToken,
+    header,
+    view
   };
+}
 
-  const keepAlive = setInterval(() => { try { res.write(': keep-alive\n\n'); } catch (_) {} }, 15000);
+function createSessionPool(values) {
+  const sessions = Array.from(new Set(values.map(v => String(v).trim()).filter(Boolean))).map(value => {
+    addLogSecret(value);
+    return {
+      value,
+      label: crypto.createHash('sha256').update(value).digest('hex').slice(0, 8),
+      uses: 0, successes: 0, failures: 0, consecutiveFailures: 0,
+      sidelinedUntil: null, lastUsedAt: null, lastError: null
+    };
+  });
+  let next = 0; // round-robin cursor
+
+  function healthy(s) {
+    if (!s.sidelinedUntil) return true;
+    if (s.sidelinedUntil > Date.now()) return false;
+    // Sat out its time: back in with a clean slate
+    s.sidelinedUntil = null;
+    s.consecutiveFailures = 0;
+    log.info('tiktok session back in rotation', { session: s.label });
+    return true;
+  }
+
+  function use(s) {
+    s.uses++;
+    s.lastUsedAt = Date.now();
+    return s;
+  }
+
+  // prefer if it's still healthy, otherwise the next healthy one that isn't
+  // avoid (avoid only as a last resort); null when the whole pool is sidelined
+  function pick(prefer, avoid) {
+    if (prefer && sessions.includes(prefer) && healthy(prefer)) return use(prefer);
+    let fallback = null;
+    for (let i = 0; i < sessions.length; i++) {
+      const s = sessions[(next + i) % sessions.length];
+      if (!healthy(s)) continue;
+      if (s === avoid) { fallback = s; continue; }
+      next = (next + i + 1) % sessions.length;
+      return use(s);
+    }
+    return fallback && use(fallback);
+  }
+
+  function success(s) {
+    s.successes++;
+    s.consecutiveFailures = 0;
+    s.lastError = null;
+  }
+
+  function failure(s, error) {
+    s.failures++;
+    s.consecutiveFailures++;
+    s.lastError = error ? redactSecrets(String(error)) : null;
+    if (s.consecutiveFailures >= TIKTOK_SESSION_MAX_FAILURES && !s.sidelinedUntil) {
+      s.sidelinedUntil = Date.now() + TIKTOK_SESSION_SIDELINE_MS;
+      log.warn('tiktok session sidelined', { session: s.label, failures: s.consecutiveFailures, untilMs: TIKTOK_SESSION_SIDELINE_MS });
+    }
+  }
+
+  function view() {
+    const now = Date.now();
+    return sessions.map(s => ({
+      session: s.label,
+      state: s.sidelinedUntil && s.sidelinedUntil > now ? 'sidelined' : 'healthy',
+      uses: s.uses,
+      successes: s.successes,
+      failures: s.failures,
+      consecutiveFailures: s.consecutiveFailures,
+      sidelinedUntil: s.sidelinedUntil && s.sidelinedUntil > now ? isoOrNull(s.sidelinedUntil) : null,
+      lastUsedAt: isoOrNull(s.lastUsedAt),
+      lastError: s.lastError
+    }));
+  }
+
+  return { pick, success, failure, view, get size() { return sessions.length; } };
+}
+
+const tiktokCookies = createCookieJar({ file: TIKTOK_COOKIE_JAR_FILE });
+const tiktokSessions = createSessionPool([
+  ...String(process.env.TIKTOK_SESSIONIDS || '').split(','),
+  process.env.TIKTOK_SESSIONID || ''
+]);
+
+// The jar's cookie header, visiting TikTok first only if the jar has no ttwid yet
+async function getTikTokCookieHeader(user, baseHeaders) {
+  const urls = [
+    `https://www.tiktok.com/@${encodeURIComponent(user)}/live`,
+    `https://www.tiktok.com/@${encodeURIComponent(user)}`,
+    `https://www.tiktok.com/`
+  ];
+  for (const url of urls) {
+    if (tiktokCookies.has('ttwid')) break; // usually enough
+    try {
+      const r = await upstreamFetch('tiktok', url, { method: 'GET', headers: baseHeaders, redirect: 'follow' }, tiktokUpstream.fetch);
+      tiktokCookies.absorb(r);
+    } catch {}
+  }
+  return tiktokCookies.header();
+}
+
+/* ---------------------------- TikTok event schema ------------------------ */
+// Upstream connector event → SSE payload. These shapes are the public
+// /tiktok-sse contract: add fields if needed, never rename or drop them.
+//
+//   chat     { comment, uniqueId, nickname }
+//   gift     { uniqueId, nickname, giftId, giftName, diamondCount,
+//              repeatCount, repeatEnd, streakable, streaking }
+//            Streakable gifts fire repeatedly while the combo runs
+//            (streaking: true) and once more with repeatEnd: true.
+//   like     { uniqueId, nickname, likeCount, totalLikeCount }
+//   follow   { uniqueId, nickname }
+//   share    { uniqueId, nickname }
+//   member   { uniqueId, nickname }            (viewer joined)
+//   roomUser { viewerCount }
+const eventNum = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+const eventUser = (m) => ({ uniqueId: m.uniqueId || '', nickname: m.nickname || '' });
+
+const TIKTOK_EVENT_MAPPERS = {
+  chat: (m) => ({ comment: String(m.comment || ''), ...eventUser(m) }),
+  gift: (m) => {
+    const streakable = Number(m.giftType) === 1;
+    const repeatEnd = Boolean(m.repeatEnd);
+    return {
+      ...eventUser(m),
+      giftId: m.giftId ?? null,
+      giftName: String(m.giftName || m.extendedGiftInfo?.name || ''),
+      diamondCount: eventNum(m.diamondCount),
+      repeatCount: eventNum(m.repeatCount) || 1,
+      repeatEnd,
+      streakable,
+      streaking: streakable && !repeatEnd
+    };
+  },
+  like: (m) => ({ ...eventUser(m), likeCount: eventNum(m.likeCount), totalLikeCount: eventNum(m.totalLikeCount) }),
+  follow: (m) => eventUser(m),
+  share: (m) => eventUser(m),
+  member: (m) => eventUser(m),
+  roomUser: (m) => ({ viewerCount: eventNum(m.viewerCount) })
+};
+const TIKTOK_EVENT_TYPES = Object.keys(TIKTOK_EVENT_MAPPERS);
+
+// "?events=chat,gift" → Set of known event types; null means "everything".
+// Unknown names are ignored, so a list of nothing but typos ("?events=chats")
+// filters nothing rather than silently dropping every data event.
+function parseEventFilter(raw) {
+  const list = String(raw || '').split(',').map(s => s.trim()).filter(Boolean);
+  const known = list.filter(e => TIKTOK_EVENT_MAPPERS[e]);
+  return known.length ? new Set(known) : null;
+}
+
+/* ----------------------------- Chat moderation --------------------------- */
+// Filter pipeline applied to `chat` before it reaches a client:
+//   allow/block user lists → blocked words (leetspeak-folded) → link/handle
+//   masking (byline redaction helpers) → per-user flood throttle → duplicate
+//   suppression.
+// A room uses CHAT_MODERATION_ROOMS[user] or CHAT_MODERATION (default "off");
+// a connection can pick its own preset with ?moderation=<preset>.
+// Word/user lists: CHAT_BLOCKED_WORDS, CHAT_BLOCKED_USERS, CHAT_ALLOWED_USERS
+// (comma separated) and CHAT_BLOCKED_WORDS_FILE (one word or phrase per line).
+const MODERATION_PRESETS = {
+  off: null,
+  light: {
+    blockedWords: true, stripLinks: true, stripHandles: false,
+    flood: null,
+    duplicate: { windowMs: 10000, perUser: true }
+  },
+  standard: {
+    blockedWords: true, stripLinks: true, stripHandles: false,
+    flood: { max: 5, windowMs: 10000 },
+    duplicate: { windowMs: 30000, perUser: true }
+  },
+  strict: {
+    blockedWords: true, stripLinks: true, stripHandles: true,
+    flood: { max: 3, windowMs: 10000 },
+    duplicate: { windowMs: 60000, perUser: false }
+  }
+};
+const MODERATION_REPORT_MS = Number(process.env.MODERATION_REPORT_MS || 60000);
+
+const csvSet = (s) => new Set(String(s || '').split(',').map(x => x.trim().toLowerCase().replace(/^@/, '')).filter(Boolean));
+const CHAT_BLOCKED_USERS = csvSet(process.env.CHAT_BLOCKED_USERS);
+const CHAT_ALLOWED_USERS = csvSet(process.env.CHAT_ALLOWED_USERS);
+const CHAT_MODERATION_DEFAULT = String(process.env.CHAT_MODERATION || 'off').toLowerCase();
+const CHAT_MODERATION_ROOMS = (() => {
+  try { return JSON.parse(process.env.CHAT_MODERATION_ROOMS || '{}') || {}; }
+  catch (e) { log.warn('CHAT_MODERATION_ROOMS ignored', { error: e && e.message ? e.message : String(e) }); return {}; }
+})();
+
+// Fold look-alikes so "Sh1t", "$hit" and "shiiit" compare equal. i/l/1/!/| all
+// fold to "i"; blocked words go through the same fold, so that's consistent.
+function leetFold(s) {
+  return String(s || '')
+    .normalize('NFKD').replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .replace(/(^|\s)[@$](?=\p{L})/gu, (m, pre) => pre + (m.endsWith('@') ? 'a' : 's'))
+    .replace(/(?<=[\p{L}\p{N}])[@$!|+](?=[\p{L}\p{N}])/gu, (c) => ({ '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't' })[c])
+    .replace(/[01345789]/g, (c) => ({ '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g' })[c])
+    .replace(/l/g, 'i');
+}
+
+const collapseRuns = (w) => w.replace(/(\p{L})\1+/gu, '$1');
+
+// Folded words, letters only; runs of single letters are glued back together
+// ("f u c k" → "fuck"). collapse also squeezes letter runs ("fuuuck" → "fuck").
+function chatWords(s, { collapse = true } = {}) {
+  const words = leetFold(s).split(/\s+/)
+    .map(w => w.replace(/[^\p{L}]+/gu, ''))
+    .filter(Boolean);
+  const out = [];
+  let run = '';
+  for (const w of words) {
+    if (w.length === 1) { run += w; continue; }
+    if (run) { out.push(run); run = ''; }
+    out.push(w);
+  }
+  if (run) out.push(run);
+  return collapse ? out.map(collapseRuns) : out;
+}
+
+// Blocked words/phrases as uncollapsed word lists: "ass" must stay "ass", not "as"
+const CHAT_BLOCKED_WORDS = (() => {
+  const raw = String(process.env.CHAT_BLOCKED_WORDS || '').split(',');
+  if (process.env.CHAT_BLOCKED_WORDS_FILE) {
+    try { raw.push(...fs.readFileSync(process.env.CHAT_BLOCKED_WORDS_FILE, 'utf8').split(/\r?\n/)); }
+    catch (e) { log.warn('CHAT_BLOCKED_WORDS_FILE unreadable', { error: e && e.message ? e.message : String(e) }); }
+  }
+  const byKey = new Map();
+  for (const w of raw) {
+    const words = chatWords(w, { collapse: false });
+    if (words.length) byKey.set(words.join(' '), words);
+  }
+  return Array.from(byKey.values());
+})();
+
+// Same letters once runs are squeezed, and no shorter: "fuuuck" hits "fuck",
+// "asss" hits "ass", but "as" doesn't hit "ass" nor "but" "butt"
+const wordHits = (w, blocked) => w.length >= blocked.length && collapseRuns(w) === collapseRuns(blocked);
+
+function containsBlockedWord(text) {
+  if (!CHAT_BLOCKED_WORDS.length) return false;
+  const words = chatWords(text, { collapse: false });
+  return CHAT_BLOCKED_WORDS.some(b => words.some((_, i) => b.every((bw, j) => {
+    const w = words[i + j];
+    if (w == null) return false;
+    // Plural on the phrase's last word ("fucks")
+    return wordHits(w, bw) || (j === b.length - 1 && w.endsWith('s') && wordHits(w.slice(0, -1), bw));
+  })));
+}
+
+// Same masking as bylines (emails, URLs), plus bare domains and optionally @handles
+function maskChatLinks(text, { handles = false } = {}) {
+  let out = redactBylineSystem(text, '');
+  out = out.replace(/\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|gg|tv|io|ly|me|co|xyz|app|link|shop|live|info|ru|cn)\b(?:\/\S*)?/gi, '****');
+  if (handles) out = out.replace(/(^|\s)@[\w.]{2,}/g, '$1****');
+  return out;
+}
+
+function moderationPresetFor(user, requested) {
+  const name = String(requested || CHAT_MODERATION_ROOMS[user] || CHAT_MODERATION_DEFAULT).toLowerCase();
+  return name in MODERATION_PRESETS ? name : 'off';
+}
+
+// Stateful filter for one room + preset. apply() returns the (possibly
+// rewritten) chat payload, or null when the message is dropped. Replays
+// (live: false) skip the flood/duplicate checks, which only make sense in order.
+function createChatFilter(presetName) {
+  const p = MODERATION_PRESETS[presetName];
+  const recentByUser = new Map(); // uniqueId -> [timestamps]
+  const seen = new Map();         // duplicate key -> last seen
+  let stats = { passed: 0, dropped: {} };
+
+  const drop = (reason) => { stats.dropped[reason] = (stats.dropped[reason] || 0) + 1; return null; };
+
+  function prune(now) {
+    if (p.flood) {
+      for (const [k, ts] of recentByUser) if (!ts.length || now - ts[ts.length - 1] > p.flood.windowMs) recentByUser.delete(k);
+    }
+    if (p.duplicate) {
+      for (const [k, at] of seen) if (now - at > p.duplicate.windowMs) seen.delete(k);
+    }
+  }
+
+  function apply(chat, { live = true } = {}) {
+    if (!p) return chat;
+    const who = String(chat.uniqueId || '').toLowerCase();
+    if (CHAT_ALLOWED_USERS.has(who)) { stats.passed++; return chat; }
+    if (CHAT_BLOCKED_USERS.has(who)) return drop('blocked-user');
+
+    let comment = String(chat.comment || '');
+    if (p.blockedWords && containsBlockedWord(comment)) return drop('blocked-word');
+    if (p.stripLinks) {
+      comment = maskChatLinks(comment, { handles: p.stripHandles });
+      if (!/[\p{L}\p{N}]/u.test(comment.replace(/\*{4}/g, ''))) return drop('link-only');
+    }
+
+    if (live) {
+      const now = Date.now();
+      if (recentByUser.size + seen.size > 5000) prune(now);
+
+      if (p.flood) {
+        const ts = (recentByUser.get(who) || []).filter(t => now - t < p.flood.windowMs);
+        recentByUser.set(who, ts);
+        if (ts.length >= p.flood.max) return drop('flood');
+        ts.push(now);
+      }
+      if (p.duplicate) {
+        const key = (p.duplicate.perUser ? who + '\n' : '') + chatWords(comment).join(' ');
+        const at = seen.get(key);
+        seen.set(key, now);
+        if (at != null && now - at < p.duplicate.windowMs) return drop('duplicate');
+      }
+    }
+
+    stats.passed++;
+    return comment === chat.comment ? chat : { ...chat, comment };
+  }
+
+  // Counters since the last call
+  function takeStats() {
+    const out = stats;
+    stats = { passed: 0, dropped: {} };
+    prune(Date.now());
+    return out;
+  }
+
+  return { apply, takeStats };
+}
+
+/* --------------------------- TikTok room registry ------------------------ */
+// One upstream connector per TikTok user, fanned out to every SSE subscriber.
+// The first subscriber's options (trust/force/region) shape the room; later
+// joiners share whatever that room is already doing.
+const ROOM_IDLE_GRACE_MS = Number(process.env.ROOM_IDLE_GRACE_MS || 30000);
+// Recent events kept per room so reconnecting clients can resume (Last-Event-ID)
+const ROOM_REPLAY_BUFFER = Math.max(0, Number(process.env.ROOM_REPLAY_BUFFER || 500));
+// Recent debug events kept per room for the admin API
+const ROOM_DEBUG_LOG = Math.max(0, Number(process.env.ROOM_DEBUG_LOG || 50));
+// Reconnect backoff; the last step repeats until something connects
+const TIKTOK_RETRY_DELAYS_MS = (() => {
+  const list = String(process.env.TIKTOK_RETRY_DELAYS_MS || '').split(',').map(Number).filter(n => Number.isFinite(n) && n >= 0);
+  return list.length ? list : [2000, 5000, 10000, 20000, 30000, 60000];
+})();
+const rooms = new Map(); // roomKey -> room
+
+// TikTok rooms are keyed by user, Twitch channels (opts.platform 'twitch') by "twitch:<channel>"
+const roomKey = (user, opts = {}) => (opts.platform === 'twitch' ? `twitch:${user}` : user);
+
+function getOrCreateRoom(user, opts = {}) {
+  const key = roomKey(user, opts);
+  let room = rooms.get(key);
+  if (!room) {
+    room = createRoom(user, opts);
+    rooms.set(key, room);
+  }
+  return room;
+}
+
+function createRoom(user, opts = {}) {
+  const key = roomKey(user, opts);
+  const platform = opts.platform || 'tiktok';
+  const delays = TIKTOK_RETRY_DELAYS_MS;
+  const clients = new Set();
+  // Last state-bearing events, replayed to clients that join mid-stream
+  const last = { room: null, status: null, open: null };
+  // Monotonic per-room event ids + bounded history for resume
+  let seq = 0;
+  const history = []; // [{ id, event, data }], oldest first
 
-  const delays = [2000, 5000, 10000, 20000, 30000, 60000];
   let attempt = 0;
   let tiktok = null;
   let closed = false;
+  let started = false;
+  let retryTimer = null;
+  let idleTimer = null;
+  let generation = 0; // bumps on every connect() so overlapping attempts bail out
+  let connectedAt = null; // ms timestamp while the upstream connector is connected
+  let retryReason = null; // schedule() reason behind the pending retry (metrics label)
+  let roomSession = null;    // pooled TikTok session this room connects with
+  let refusedSession = null; // the one TikTok refused last, skipped by the next pick
+  // What the admin API shows about the upstream side
+  let upstreamRoomId = null;
+  let upstreamRegion = null;
+  let totalAttempts = 0;
+  let lastEventAt = null;
+  const debugLog = []; // [{ at, data }], oldest first
+  // NDJSON copy of everything broadcast (TIKTOK_RECORD_DIR), null when off.
+  // TikTok only: /tiktok-replay would serve a Twitch chat as a TikTok user.
+  const recorder = platform === 'tiktok' ? createRecorder(key) : null;
+
+  // Chat moderation: one stateful filter per preset in use, shared by its clients
+  const roomPreset = moderationPresetFor(user);
+  const chatFilters = new Map(); // preset -> filter
+  const moderationReport = setInterval(() => {
+    for (const [preset, f] of chatFilters) {
+      const { passed, dropped } = f.takeStats();
+      if (Object.keys(dropped).length) broadcast('debug', { stage: 'moderation', user, preset, passed, dropped });
+    }
+  }, MODERATION_REPORT_MS);
+  moderationReport.unref();
+
+  // Moderated chat for this client's preset; results are memoized on the
+  // history entry so every client (and later replays) see the same verdict
+  function moderatedChat(client, entry, live) {
+    const preset = client.moderation ? moderationPresetFor(user, client.moderation) : roomPreset;
+    if (preset === 'off') return entry.data;
+    if (!entry.mod) entry.mod = new Map();
+    if (!entry.mod.has(preset)) {
+      let f = chatFilters.get(preset);
+      if (!f) { f = createChatFilter(preset); chatFilters.set(preset, f); }
+      entry.mod.set(preset, f.apply(entry.data, { live }));
+    }
+    return entry.mod.get(preset);
+  }
 
-  const cleanup = () => {
-    clearInterval(keepAlive);
-    try { tiktok && tiktok.disconnect(); } catch {}
-  };
-  req.on('close', () => { closed = true; cleanup(); });
+  // entry: { event, data, id? }
+  function deliver(client, entry, live = false) {
+    let { event, data } = entry;
+    // Control events (status/room/open/debug/gap) always go out; data events honor ?events=
+    if (TIKTOK_EVENT_MAPPERS[event] && client.events && !client.events.has(event)) return;
+    if (event === 'chat') {
+      data = moderatedChat(client, entry, live);
+      if (!data) return;
+    }
+    try { client.send(event, data, entry.id); } catch {}
+  }
 
-  function schedule(reason) {
+  function broadcast(event, data) {
+    // Upstream errors can quote cookies back at us; clients never see their values
+    if (event === 'debug' || event === 'status') data = redactSecrets(data);
+    if (TIKTOK_EVENT_MAPPERS[event]) {
+      lastEventAt = Date.now();
+      // Once per event, however many clients it fans out to
+      if (clients.size) metrics.eventsForwarded.inc({ platform, type: event });
+    } else if (event === 'status') log.info('room status', { room: key, platform, ...data });
+    else if (event === 'debug') log.debug('room debug', { room: key, platform, ...data });
+    if (event === 'debug' && ROOM_DEBUG_LOG) {
+      debugLog.push({ at: Date.now(), data });
+      if (debugLog.length > ROOM_DEBUG_LOG) debugLog.shift();
+    }
+    if (event in last) {
+      last[event] = data;
+      // A fresh status/room supersedes the old "open" snapshot
+      if (event === 'status' && data && data.state !== 'connected') last.open = null;
+    }
+    const entry = { id: ++seq, event, data };
+    if (recorder) recorder.write(entry);
+    if (ROOM_REPLAY_BUFFER) {
+      history.push(entry);
+      if (history.length > ROOM_REPLAY_BUFFER) history.shift();
+    }
+    for (const c of clients) deliver(c, entry, true);
+  }
+
+  // Replay what a reconnecting client missed. Returns false when the client
+  // should get the regular join snapshot instead.
+  function resume(client, lastEventId) {
+    if (lastEventId == null || !Number.isFinite(lastEventId) || lastEventId < 0) return false;
+
+    // Ahead of us: the room was recreated since the client last saw it
+    if (lastEventId > seq) {
+      deliver(client, { event: 'gap', data: { user, requested: lastEventId, oldest: history[0]?.id ?? null, latest: seq, reason: 'reset' } });
+      return false;
+    }
+
+    const oldest = history.length ? history[0].id : seq + 1;
+    if (lastEventId + 1 < oldest) {
+      deliver(client, { event: 'gap', data: {
+        user, requested: lastEventId, oldest: history[0]?.id ?? null, latest: seq,
+        missed: oldest - lastEventId - 1, reason: 'evicted'
+      } });
+      // Without the full history the client also needs the current state
+      for (const event of ['room', 'status', 'open']) {
+        if (last[event]) deliver(client, { event, data: last[event] });
+      }
+    }
+    for (const h of history) {
+      if (h.id > lastEventId) deliver(client, h);
+    }
+    return true;
+  }
+
+  function subscribe(client, { lastEventId = null } = {}) {
+    if (closed) return false;
+    if (idleTimer) { clearTimeout(idleTimer); idleTimer = null; }
+    clients.add(client);
+
+    // Bring the newcomer up to speed before live delivery
+    if (!resume(client, lastEventId)) {
+      for (const event of ['room', 'status', 'open']) {
+        if (last[event]) deliver(client, { event, data: last[event] });
+      }
+      // Pin the client's cursor so a reconnect resumes from here
+      if (seq && typeof client.mark === 'function') { try { client.mark(seq); } catch {} }
+    }
+
+    if (!started) { started = true; connect('init'); }
+    return true;
+  }
+
+  function unsubscribe(client) {
+    clients.delete(client);
+    if (clients.size || closed || idleTimer) return;
+    idleTimer = setTimeout(() => {
+      idleTimer = null;
+      if (!clients.size) destroy('idle');
+    }, ROOM_IDLE_GRACE_MS);
+  }
+
+  function destroy(reason) {
     if (closed) return;
+    // Tell whoever is still attached, then hang up on them
+    if (clients.size) broadcast('status', { state: 'closed', user, reason });
+    closed = true;
+    for (const c of Array.from(clients)) {
+      if (typeof c.close === 'function') { try { c.close(reason); } catch {} }
+    }
+    clients.clear();
+    if (retryTimer) { clearTimeout(retryTimer); retryTimer = null; }
+    if (idleTimer) { clearTimeout(idleTimer); idleTimer = null; }
+    clearInterval(moderationReport);
+    if (recorder) recorder.close();
+    const conn = tiktok;
+    tiktok = null;
+    connectedAt = null;
+    try { conn && conn.disconnect(); } catch {}
+    if (rooms.get(key) === room) rooms.delete(key);
+    log.info('room closed', { room: key, platform, reason });
+  }
+
+  function schedule(reason) {
+    if (closed || retryTimer) return;
     const wait = delays[Math.min(attempt++, delays.length - 1)];
-    send('debug', { stage: 'retry', user, inMs: wait, reason });
-    setTimeout(() => connect('retry'), wait);
+    retryReason = reason;
+    metrics.connectFailures.inc({ platform, reason });
+    broadcast('debug', { stage: 'retry', user, inMs: wait, reason });
+    retryTimer = setTimeout(() => { retryTimer = null; connect('retry'); }, wait);
   }
 
-  async function connect(trigger) {
+  // Drop the current attempt/backoff and start over right away (shared by all subscribers)
+  function reconnect(trigger = 'manual') {
     if (closed) return;
-    if (tiktok) { try { tiktok.disconnect(); } catch {} tiktok = null; }
+    if (retryTimer) { clearTimeout(retryTimer); retryTimer = null; }
+    attempt = 0;
+    started = true;
+    connect(trigger);
+  }
 
-    send('debug', { stage: 'attempt', user, trigger });
+  // Each connect (and the retries it schedules) logs with { room: key }
+  function connect(trigger) {
+    return logContext.run({ room: key }, () => connectOnce(trigger));
+  }
 
+  // Cookies, room scrape and region → { conn, roomId, region } for connectOnce,
+  // or nothing when this attempt is over (stale, offline, or retry scheduled)
+  async function prepareTikTok(stale) {
     // --- Client fingerprint / headers ---
     const referer = `https://www.tiktok.com/@${encodeURIComponent(user)}/live`;
     const ua = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36';
@@ -794,60 +2518,66 @@ app.get('/tiktok-sse', async (req, res) => {
       'Accept-Language': 'en-US,en;q=0.9'
     };
 
-    // Acquire TikTok cookies (ttwid, odin_tt, etc.)
-    let extraCookie = '';
-    try { extraCookie = await getTikTokCookieHeader(user, baseHeaders); } catch {}
+    // TikTok cookies (ttwid, odin_tt, msToken, ...) from the shared jar
+    const reused = tiktokCookies.has('ttwid');
+    let jarCookie = '';
+    try { jarCookie = await getTikTokCookieHeader(user, baseHeaders); } catch {}
+    if (stale()) return;
 
-    // Build cookie (US by default; may switch to EU later)
-    function makeMsToken() {
-      const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-      let t = '';
-      for (let i = 0; i < 107; i++) t += chars[(Math.random() * chars.length) | 0];
-      return t;
-    }
-    const msToken = makeMsToken();
-    const sessionId = (process.env.TIKTOK_SESSIONID || '').trim();
+    // Stay on this room's session unless TikTok just refused it
+    const session = tiktokSessions.pick(roomSession, refusedSession);
+    roomSession = session;
 
-    const cookieParts = ['msToken=' + msToken, 'tt-web-region=US'];
-    if (extraCookie) cookieParts.push(extraCookie);
-    if (sessionId) {
-      cookieParts.push('sessionid=' + sessionId);
-      cookieParts.push('sessionid_ss=' + sessionId);
+    // Build cookie (US by default; may switch to EU later)
+    const cookieParts = [jarCookie, 'tt-web-region=US'].filter(Boolean);
+    if (session) {
+      cookieParts.push('sessionid=' + session.value);
+      cookieParts.push('sessionid_ss=' + session.value);
     }
     const cookieHeaderUS = cookieParts.join('; ');
+    broadcast('debug', {
+      stage: 'cookies',
+      user,
+      cookieNames: cookieParts.join('; ').split('; ').map(c => c.split('=')[0]),
+      reused,
+      session: session ? session.label : null
+    });
 
     // Headers for initial scrape
     const commonHeaders = { ...baseHeaders, Cookie: cookieHeaderUS };
 
     // --- Scrape roomId from web page ---
-    const trust = String(req.query.trust || '') === '1';
-    const force = String(req.query.force || '') === '1';
+    const trust = Boolean(opts.trust);
+    const force = Boolean(opts.force);
     let roomId = null;
     let scraped;
 
     try {
       scraped = await scrapeRoomIdFromWebProfile(user, commonHeaders, { validate: !trust });
-      send('debug', { stage: 'room-scrape', user, scraped });
+      if (stale()) return;
+      broadcast('debug', { stage: 'room-scrape', user, scraped });
 
       const shouldConnect =
         scraped && scraped.roomId &&
         (trust || force || scraped.isLive === true || scraped.pageLive === true);
 
       if (!shouldConnect) {
-        send('room', { user, isLive: false });
-        send('status', { state: 'offline', user, reason: 'scrape-validate-failed', trust, pageLive: scraped?.pageLive ?? null });
+        broadcast('room', { user, isLive: false });
+        broadcast('status', { state: 'offline', user, reason: 'scrape-validate-failed', trust, pageLive: scraped?.pageLive ?? null });
         return schedule('no-live');
       }
 
       roomId = scraped.roomId;
-      send('room', { user, roomId, isLive: true, trust, pageLive: scraped.pageLive === true });
+      upstreamRoomId = roomId;
+      broadcast('room', { user, roomId, isLive: true, trust, pageLive: scraped.pageLive === true });
     } catch (e) {
-      send('status', { state: 'error', where: 'scrape', error: serializeErr(e) });
+      if (stale()) return;
+      broadcast('status', { state: 'error', where: 'scrape', error: serializeErr(e) });
       return schedule('scrape');
     }
 
     // --- Region (US default; switch to EU if hinted or forced) ---
-    const qpRegion = String(req.query.region || '').trim().toUpperCase();
+    const qpRegion = String(opts.region || '').trim().toUpperCase();
     let selectedRegion = qpRegion || (scraped.regionHint || '').toUpperCase() || 'US';
     if (!/^(US|EU)$/.test(selectedRegion)) selectedRegion = 'US';
 
@@ -855,125 +2585,1480 @@ app.get('/tiktok-sse', async (req, res) => {
     if (!activeCookieHeader.includes(`tt-web-region=${selectedRegion}`)) {
       activeCookieHeader = activeCookieHeader.replace(/tt-web-region=(US|EU)/, `tt-web-region=${selectedRegion}`);
     }
-    send('debug', { stage: 'region', selected: selectedRegion, hinted: scraped.regionHint || null });
-
-	// IMPORTANT: Do NOT set Host here — the connector may fetch www.tiktok.com pages.
-	const connectorHeaders = { ...baseHeaders, Cookie: activeCookieHeader };
-
-	// --- Create connector (simple + supported) ---
-	tiktok = new WebcastPushConnection(user, {
-	  // Keep options minimal; let the lib manage its own HTTP unless you need to tune it
-	  requestPollingIntervalMs: 1000,
-	  requestOptions: {
-		withCredentials: true,
-		headers: connectorHeaders,
-		timeout: 15000
-	  }
-	});
-
-	// --- events (once) ---
-	tiktok.on('chat', (msg) => {
-	  send('chat', { comment: String(msg.comment || ''), uniqueId: msg.uniqueId || '', nickname: msg.nickname || '' });
-	});
-	const onDisc = () => { send('status', { state: 'disconnected' }); schedule('disconnected'); };
-	const onErr  = (e) => { 
-	  // nicer error message
-	  const m = (e && (e.message || e.toString && e.toString())) || String(e);
-	  send('status', { state: 'error', error: m });
-	  schedule('error');
-	};
-	const onEnd  = () => { send('status', { state: 'ended' }); schedule('streamEnd'); };
-	tiktok.on('disconnected', onDisc);
-	tiktok.on('error', onErr);
-	tiktok.on('streamEnd', onEnd);
-
-	// --- connect (single call; BYPASS scraping by giving roomId) ---
-	try {
-	  await tiktok.connect(String(roomId));  // <- key change
-	  attempt = 0;
-	  send('status', { state: 'connected', user, roomId, region: selectedRegion });
-	  send('open',   { ok: true, user, roomId, region: selectedRegion });
-	} catch (e) {
-	  const m = (e && (e.message || e.toString && e.toString())) || String(e);
-	  send('status', { state: 'error', where: 'connect', error: m });
-	  schedule('connect:reject');
-	}
+    upstreamRegion = selectedRegion;
+    broadcast('debug', { stage: 'region', selected: selectedRegion, hinted: scraped.regionHint || null });
+
+    // IMPORTANT: Do NOT set Host here — the connector may fetch www.tiktok.com pages.
+    const connectorHeaders = { ...baseHeaders, Cookie: activeCookieHeader };
+
+    // --- Create connector (simple + supported) ---
+    const conn = tiktokUpstream.createConnector(user, {
+      // Keep options minimal; let the lib manage its own HTTP unless you need to tune it
+      requestPollingIntervalMs: 1000,
+      requestOptions: {
+        withCredentials: true,
+        headers: connectorHeaders,
+        timeout: 15000
+      }
+    });
+    return { conn, roomId, region: selectedRegion, session };
+  }
 
-  } // end connect()
+  function prepareTwitch() {
+    broadcast('debug', { stage: 'join', channel: user });
+    return { conn: new TwitchChatConnection(user), roomId: null, region: null };
+  }
 
-  connect('init');
-});
+  async function connectOnce(trigger) {
+    if (closed) return;
+    const gen = ++generation;
+    const stale = () => closed || gen !== generation;
+    if (tiktok) { const old = tiktok; tiktok = null; try { old.disconnect(); } catch {} }
+    connectedAt = null;
+
+    const reason = trigger === 'retry' ? (retryReason || 'retry') : trigger;
+    metrics.connectAttempts.inc({ platform, reason });
+    totalAttempts++;
+    broadcast('debug', { stage: 'attempt', user, trigger });
+
+    // Twitch channels skip the scrape and region dance and just join the chat
+    const prepared = platform === 'twitch' ? prepareTwitch() : await prepareTikTok(stale);
+    if (!prepared) return;
+    const { conn, roomId, region, session } = prepared;
+    tiktok = conn;
+
+    // --- events (once) ---
+    // Ignore anything a replaced/torn-down connector emits after the fact
+    const current = () => !closed && tiktok === conn;
+    // Connectors can emit before the connect() continuation runs (frames
+    // batched with the handshake); hold those until status: connected is out
+    let held = [];
+    const hold = (fn) => (...args) => {
+      if (!current()) return;
+      if (held) held.push(() => fn(...args)); else fn(...args);
+    };
+    for (const type of TIKTOK_EVENT_TYPES) {
+      conn.on(type, hold((msg) => {
+        if (!current()) return;
+        let payload;
+        try { payload = TIKTOK_EVENT_MAPPERS[type](msg || {}); } catch { return; }
+        broadcast(type, payload);
+      }));
+    }
+    const onDisc = () => { if (!current()) return; connectedAt = null; broadcast('status', { state: 'disconnected' }); schedule('disconnected'); };
+    const onErr  = (e) => {
+      if (!current()) return;
+      connectedAt = null;
+      // nicer error message
+      const m = (e && (e.message || e.toString && e.toString())) || String(e);
+      broadcast('status', { state: 'error', error: m });
+      schedule('error');
+    };
+    const onEnd  = () => { if (!current()) return; connectedAt = null; broadcast('status', { state: 'ended' }); schedule('streamEnd'); };
+    conn.on('disconnected', hold(onDisc));
+    conn.on('error', hold(onErr));
+    conn.on('streamEnd', hold(onEnd));
 
+    // --- connect (single call; BYPASS scraping by giving roomId) ---
+    try {
+      const joined = await conn.connect(roomId == null ? undefined : String(roomId));  // <- key change
+      if (!current()) { try { conn.disconnect(); } catch {} return; }
+      // Twitch only learns its room id from the join
+      const connectedRoomId = roomId || (joined && joined.roomId) || null;
+      upstreamRoomId = connectedRoomId;
+      if (session) { tiktokSessions.success(session); refusedSession = null; }
+      attempt = 0;
+      connectedAt = Date.now();
+      metrics.connectSuccesses.inc({ platform, reason });
+      broadcast('status', { state: 'connected', user, roomId: connectedRoomId, region });
+      broadcast('open',   { ok: true, user, roomId: connectedRoomId, region });
+      // Now what arrived early, in order (a disconnect among it schedules the retry)
+      const early = held;
+      held = null;
+      for (const run of early) run();
+    } catch (e) {
+      // A refused connector is done: what it said before refusing is moot,
+      // and whatever it says afterwards is ignored
+      held = null;
+      if (!current()) return;
+      tiktok = null;
+      try { conn.disconnect(); } catch {}
+      const m = (e && (e.message || e.toString && e.toString())) || String(e);
+      // Try another session next time; only a login refusal counts against this one
+      if (session) {
+        if (TIKTOK_SESSION_REFUSAL_RE.test(m)) tiktokSessions.failure(session, m);
+        refusedSession = session;
+        roomSession = null;
+      }
+      broadcast('status', { state: 'error', where: 'connect', error: m });
+      schedule('connect:reject');
+    }
+  } // end connectOnce()
+
+  // Point-in-time view for the admin API
+  function info({ debug = 0 } = {}) {
+    return {
+      user,
+      platform,
+      roomId: upstreamRoomId,
+      region: upstreamRegion,
+      session: roomSession ? roomSession.label : null,
+      state: last.status ? last.status.state : null,
+      connectedAt,
+      attempts: { current: attempt, total: totalAttempts },
+      lastEventAt,
+      opts: { trust: Boolean(opts.trust), force: Boolean(opts.force), region: opts.region || null },
+      clients: Array.from(clients, c => ({ ...(c.meta || { transport: 'unknown' }) })),
+      ...(debug ? { debug: debugLog.slice(-debug) } : {})
+    };
+  }
 
-// --- Twitch-only helpers for full About page proxy ---
+  // Pin the region for every later connect and switch over now
+  function setRegion(region) {
+    if (closed) return;
+    opts.region = region;
+    reconnect('admin:region');
+  }
 
-// Is this a Twitch URL?
-function isTwitchUrl(u) {
-  return /(^|\/\/)(www\.)?twitch\.tv\//i.test(String(u));
+  const room = {
+    user,
+    key,
+    platform,
+    opts,
+    get subscribers() { return clients.size; },
+    get connectedAt() { return connectedAt; },
+    broadcast,
+    subscribe,
+    unsubscribe,
+    reconnect,
+    destroy,
+    info,
+    setRegion,
+  };
+  return room;
 }
 
-// Normalize to https://twitch.tv/<user>/about
-function normalizeTwitchAboutUrl(raw) {
-  const u = String(raw || '').trim();
-  try {
-    const url = new URL(u);
-    const user = (url.pathname.split('/').filter(Boolean)[0] || '').replace(/^@/, '');
-    return user ? `${url.origin}/${user}/about` : `${url.origin}/about`;
-  } catch {
-    return u.replace(/\/+$/, '') + '/about';
-  }
-}
+/* ------------------------------ TikTok SSE ------------------------------- */
+// SSE response shared by /tiktok-sse and /tiktok-replay: headers, send(event,
+// data, id), mark(id) and a keep-alive comment every 15s until stop()
+// EventSource reconnects on its own when a stream ends; when we hang up on
+// purpose (room killed) the last thing sent is a retry it won't act on soon
+const SSE_CLOSED_RETRY_MS = Number(process.env.SSE_CLOSED_RETRY_MS || 24 * 60 * 60 * 1000);
 
-// GET /twitch-about?u=<twitch-channel-url>
-// Returns JSON: { sourceUrl, format: "markdown", markdown, fetchedAt }
-app.get('/twitch-about', async (req, res) => {
-  try {
-    setCORS(req, res);
+function startSse(req, res) {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.setHeader('Connection', 'keep-alive');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
 
-    const rawU = String(req.query.u || '').trim();
-    if (!rawU || !isTwitchUrl(rawU)) {
-      return res.status(400).json({ error: 'Provide ?u= with a twitch.tv URL' });
-    }
+  const send = (event, data, id) => {
+    // Debug events are shared by the room; tag this session's copy
+    if (event === 'debug' && data && typeof data === 'object') data = { ...data, reqId: req.id };
+    try {
+      if (id != null) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    } catch (_) {}
+  };
+  // An id-only block moves EventSource's lastEventId without dispatching an event
+  const mark = (id) => { try { res.write(`id: ${id}\n\n`); } catch (_) {} };
 
-    const sourceUrl = normalizeTwitchAboutUrl(rawU);
-    const jinaUrl = 'https://r.jina.ai/http://' + sourceUrl.replace(/^https?:\/\//i, '');
+  const keepAlive = setInterval(() => { try { res.write(': keep-alive\n\n'); } catch (_) {} }, 15000);
+  return { send, mark, stop: () => clearInterval(keepAlive) };
+}
 
-    const r = await _fetch(jinaUrl, {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; RelayBot/1.0)',
-        'Accept': 'text/plain,*/*;q=0.8'
-      },
-      redirect: 'follow'
-    });
+// GET /tiktok-sse?user=<handle>[&events=chat,gift,like][&moderation=<preset>][&trust=1][&force=1][&region=US|EU]
+// Always emits status/room/open/debug; data events (see TikTok event schema
+// above) are limited to ?events= when given, otherwise all are forwarded.
+// Every event carries a per-room `id:`. Reconnects with Last-Event-ID (or
+// ?lastEventId=) get the missed events replayed first, preceded by a `gap`
+// event if the room's buffer no longer reaches back that far.
+app.get('/tiktok-sse', rateLimit('tiktok-sse', req => normalizeTikTokUser(req.query.user), sseRateLimited), async (req, res) => {
+  setCORS(req, res);
 
-    if (!r.ok) {
-      return res.status(502).json({ error: 'upstream_unavailable', status: r.status });
+  // "@Foo" and "foo" are one room, as on /tiktok-ws
+  if (!String(req.query.user || '').trim()) return res.status(400).json({ error: 'Missing ?user=' });
+  const user = normalizeTikTokUser(req.query.user);
+  if (!user) return res.status(400).json({ error: 'invalid_user' });
+
+  serveRoomSse(req, res, user, {
+    trust:  String(req.query.trust || '') === '1',
+    force:  String(req.query.force || '') === '1',
+    region: String(req.query.region || '')
+  });
+});
+
+// One SSE client on a room (/tiktok-sse, /twitch-sse): stream slot, resume, cleanup
+function serveRoomSse(req, res, user, roomOpts) {
+  const release = acquireStream(req.ip);
+  if (typeof release !== 'function') return sseRateLimited(req, res, { scope: release.scope, retryAfterMs: 30000 });
+
+  const { send, mark, stop } = startSse(req, res);
+
+  const room = getOrCreateRoom(user, roomOpts);
+  const client = {
+    send,
+    mark,
+    events: parseEventFilter(req.query.events),
+    moderation: String(req.query.moderation || ''),
+    meta: { transport: 'sse', ip: req.ip, origin: req.headers.origin || null, since: Date.now() },
+    // The room already sent its closing status
+    close: () => {
+      try { res.write(`retry: ${SSE_CLOSED_RETRY_MS}\n\n`); } catch (_) {}
+      try { res.end(); } catch (_) {}
     }
+  };
 
-    let rawText = await r.text();
-    let markdown = unwrapJina(rawText);
+  metrics.streamClients.inc({ transport: 'sse' });
+  req.on('close', () => {
+    stop();
+    release();
+    metrics.streamClients.dec({ transport: 'sse' });
+    room.unsubscribe(client);
+  });
 
-    // (Optional safety) cap extremely large responses to avoid memory spikes
-    if (markdown.length > 400_000) markdown = markdown.slice(0, 400_000);
+  const resumeFrom = String(req.headers['last-event-id'] || req.query.lastEventId || '').trim();
+  room.subscribe(client, { lastEventId: /^\d+$/.test(resumeFrom) ? Number(resumeFrom) : null });
+}
 
-    return res.status(200).json({
-      sourceUrl,
-      fetchedFrom: 'jina',
-      format: 'markdown',
-      markdown,
-      fetchedAt: new Date().toISOString()
-    });
-  } catch (e) {
-    setCORS(req, res);
-    return res.status(503).json({ error: 'twitch_about_unavailable' });
+/* ------------------------------ Twitch chat ------------------------------ */
+// GET /twitch-sse?channel=<login>[&events=chat][&moderation=<preset>]
+// Twitch chat over the /tiktok-sse protocol: same status/open/debug events,
+// same `chat` payload ({ comment, uniqueId: login, nickname: display name }),
+// same reconnect schedule, ids and Last-Event-ID resume. The channel is joined
+// anonymously over Twitch's IRC WebSocket (TWITCH_IRC_URL; tests point it at a
+// local fake). `status: connected` means the chat was joined, live or not;
+// roomId is the channel's Twitch user id. ?user= works in place of ?channel=.
+// Rooms carry platform "twitch" in /metrics and the logs, and aren't recorded.
+const TWITCH_IRC_URL = process.env.TWITCH_IRC_URL || 'wss://irc-ws.chat.twitch.tv:443';
+const TWITCH_JOIN_TIMEOUT_MS = Number(process.env.TWITCH_JOIN_TIMEOUT_MS || 15000);
+const TWITCH_CHANNEL_RE = /^[a-z0-9_]{2,25}$/;
+
+const unescapeIrcTag = (v) => String(v).replace(/\\(.?)/g, (_, c) => ({ s: ' ', ':': ';', r: '\r', n: '\n', '\\': '\\' })[c] ?? c);
+
+// "@a=1;b=x :nick!nick@host PRIVMSG #chan :hello" → { tags, nick, command, params }
+function parseIrcLine(line) {
+  let rest = line;
+  const tags = {};
+  if (rest.startsWith('@')) {
+    const sp = rest.indexOf(' ');
+    for (const kv of rest.slice(1, sp).split(';')) {
+      const i = kv.indexOf('=');
+      if (i < 0) tags[kv] = '';
+      else tags[kv.slice(0, i)] = unescapeIrcTag(kv.slice(i + 1));
+    }
+    rest = rest.slice(sp + 1);
   }
-});
+  let nick = '';
+  if (rest.startsWith(':')) {
+    const sp = rest.indexOf(' ');
+    nick = rest.slice(1, sp).split('!')[0];
+    rest = rest.slice(sp + 1);
+  }
+  const trailingAt = rest.indexOf(' :');
+  const head = trailingAt >= 0 ? rest.slice(0, trailingAt) : rest;
+  const params = head.split(' ').filter(Boolean);
+  const command = params.shift() || '';
+  if (trailingAt >= 0) params.push(rest.slice(trailingAt + 2));
+  return { tags, nick, command, params };
+}
 
-// GET /debug/tiktok?user=<handle>
-// Scrapes the page (no auth) and also calls webcast status (if possible).
-app.get('/debug/tiktok', async (req, res) => {
-  try {
+// Anonymous Twitch chat reader shaped like WebcastPushConnection: connect()
+// resolves { roomId } once the channel is joined; emits chat and, after a
+// successful connect, disconnected when the socket drops or Twitch asks us to
+// RECONNECT. The room's usual handlers take it from there.
+class TwitchChatConnection extends EventEmitter {
+  constructor(channel, { url = TWITCH_IRC_URL } = {}) {
+    super();
+    this.channel = channel;
+    this.url = url;
+    this.ws = null;
+    this.connected = false;
+    this.closedByUs = false;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url);
+      this.ws = ws;
+      let settled = false;
+      const settle = (fn, v) => { if (settled) return; settled = true; clearTimeout(timer); fn(v); };
+      const timer = setTimeout(() => { settle(reject, new Error('join timed out')); try { ws.close(); } catch {} }, TWITCH_JOIN_TIMEOUT_MS);
+      const send = (line) => { if (ws.readyState === WebSocket.OPEN) ws.send(line); };
+
+      ws.on('open', () => {
+        send('CAP REQ :twitch.tv/tags twitch.tv/commands');
+        send('PASS SCHMOOPIIE');
+        send(`NICK justinfan${10000 + Math.floor(Math.random() * 80000)}`);
+        send(`JOIN #${this.channel}`);
+      });
+      ws.on('message', (buf) => {
+        for (const line of String(buf).split('\r\n')) {
+          if (!line) continue;
+          const msg = parseIrcLine(line);
+          switch (msg.command) {
+            case 'PING':
+              send(`PONG :${msg.params[0] || 'tmi.twitch.tv'}`);
+              break;
+            case 'ROOMSTATE':
+              if (msg.params[0] === `#${this.channel}` && !settled) {
+                this.connected = true;
+                settle(resolve, { roomId: msg.tags['room-id'] || null });
+              }
+              break;
+            case 'NOTICE':
+              // Before the join this is a refusal (suspended channel, bad login...)
+              if (!settled) { settle(reject, new Error(msg.params[1] || msg.tags['msg-id'] || 'join refused')); try { ws.close(); } catch {} }
+              break;
+            case 'RECONNECT':
+              try { ws.close(); } catch {}
+              break;
+            case 'PRIVMSG': {
+              if (!this.connected || msg.params[0] !== `#${this.channel}`) break;
+              // "/me waves" arrives as \x01ACTION waves\x01
+              const text = String(msg.params[1] || '').replace(/^\x01ACTION (.*)\x01$/, '$1');
+              this.emit('chat', { comment: text, uniqueId: msg.nick, nickname: msg.tags['display-name'] || msg.nick });
+              break;
+            }
+          }
+        }
+      });
+      ws.on('close', () => {
+        if (!settled) return settle(reject, new Error('irc socket closed'));
+        if (this.connected && !this.closedByUs) this.emit('disconnected');
+      });
+      // A socket error is always followed by close
+      ws.on('error', (e) => settle(reject, e));
+    });
+  }
+
+  disconnect() {
+    this.closedByUs = true;
+    try { this.ws && this.ws.close(); } catch {}
+  }
+}
+
+app.get('/twitch-sse', rateLimit('twitch-sse', req => String(req.query.channel || req.query.user || '').trim().toLowerCase(), sseRateLimited), (req, res) => {
+  setCORS(req, res);
+
+  const channel = String(req.query.channel || req.query.user || '').trim().replace(/^[#@]/, '').toLowerCase();
+  if (!channel) return res.status(400).json({ error: 'Missing ?channel=' });
+  if (!TWITCH_CHANNEL_RE.test(channel)) return res.status(400).json({ error: 'invalid channel' });
+
+  serveRoomSse(req, res, channel, { platform: 'twitch' });
+});
+
+/* ------------------------- TikTok recording / replay --------------------- */
+// TIKTOK_RECORD_DIR set → each room writes everything it broadcasts (status,
+// room, open, debug and data events, before per-client filtering) to
+// <dir>/<user>-<startedAt>.ndjson for as long as it lives:
+//   {"recording":1,"user":"alice","startedAt":"2024-06-01T12:00:00.000Z"}
+//   {"t":0,"at":"2024-06-01T12:00:00.000Z","id":1,"event":"debug","data":{...}}
+//   {"t":1834,"at":"2024-06-01T12:00:01.834Z","id":7,"event":"chat","data":{...}}
+// (t = ms since the recording started; the file name is the session name).
+//
+// GET /tiktok-replay?session=<name>|user=<handle>[&speed=2][&loop=1][&maxGapMs=5000][&events=..][&moderation=..]
+// streams a recording over the /tiktok-sse protocol: same events and payloads,
+// same ?events= / ?moderation= handling, at the recorded pacing divided by
+// speed (max 100). ?user= picks that user's latest recording, so a frontend
+// only has to swap the path. Ids count up from 1 across loops and
+// Last-Event-ID resumes; without loop the stream idles once it's played out.
+// GET /tiktok-replay/sessions[?user=] lists recordings, newest first.
+const TIKTOK_RECORD_DIR = process.env.TIKTOK_RECORD_DIR || '';
+const REPLAY_SPEED_MAX = 100;
+const REPLAY_LOOP_PAUSE_MS = 1000;
+const RECORDING_NAME_RE = /^([a-z0-9._]+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)$/;
+
+function createRecorder(user) {
+  if (!TIKTOK_RECORD_DIR) return null;
+  const startedAt = Date.now();
+  const session = `${String(user).replace(/[^a-z0-9._]/g, '_')}-${new Date(startedAt).toISOString().replace(/[:.]/g, '-')}`;
+  let out;
+  try {
+    fs.mkdirSync(TIKTOK_RECORD_DIR, { recursive: true });
+    out = fs.createWriteStream(path.join(TIKTOK_RECORD_DIR, session + '.ndjson'), { flags: 'a' });
+  } catch (e) {
+    log.warn('recording unavailable', { room: user, error: e && e.message ? e.message : String(e) });
+    return null;
+  }
+  out.on('error', (e) => log.warn('recording write failed', { room: user, session, error: e.message }));
+  out.write(JSON.stringify({ recording: 1, user, startedAt: new Date(startedAt).toISOString() }) + '\n');
+  log.info('recording started', { room: user, session });
+
+  return {
+    session,
+    write(entry) {
+      const now = Date.now();
+      out.write(JSON.stringify({ t: now - startedAt, at: new Date(now).toISOString(), id: entry.id, event: entry.event, data: entry.data }) + '\n');
+    },
+    close() { out.end(); }
+  };
+}
+
+// [{ session, user, startedAt, bytes }], newest first
+async function listRecordings({ user = '' } = {}) {
+  let names = [];
+  try { names = await fs.promises.readdir(TIKTOK_RECORD_DIR); } catch { return []; }
+  const out = [];
+  for (const name of names) {
+    const m = name.endsWith('.ndjson') && name.slice(0, -7).match(RECORDING_NAME_RE);
+    if (!m || (user && m[1] !== user)) continue;
+    let bytes = null;
+    try { bytes = (await fs.promises.stat(path.join(TIKTOK_RECORD_DIR, name))).size; } catch { continue; }
+    const startedAt = m[2].replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+    out.push({ session: m[0], user: m[1], startedAt, bytes });
+  }
+  return out.sort((a, b) => (a.startedAt < b.startedAt ? 1 : a.startedAt > b.startedAt ? -1 : 0));
+}
+
+// Parsed NDJSON lines of a recording; close() stops early
+function recordingLines(file) {
+  const input = fs.createReadStream(file);
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  async function* lines() {
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      try { yield JSON.parse(line); } catch { /* torn last line of a live recording */ }
+    }
+  }
+  return { lines: lines(), close: () => { rl.close(); input.destroy(); } };
+}
+
+async function countRecordedEvents(file) {
+  let n = 0;
+  for await (const rec of recordingLines(file).lines) if (rec && rec.event) n++;
+  return n;
+}
+
+app.get('/tiktok-replay/sessions', rateLimit('tiktok-replay'), async (req, res) => {
+  setCORS(req, res);
+  if (!TIKTOK_RECORD_DIR) return res.status(404).json({ error: 'recording_disabled' });
+  const user = String(req.query.user || '').trim().replace(/^@/, '').toLowerCase();
+  res.set('Cache-Control', 'no-store');
+  res.json({ sessions: await listRecordings({ user }) });
+});
+
+app.get('/tiktok-replay', rateLimit('tiktok-replay', () => '', sseRateLimited), async (req, res) => {
+  setCORS(req, res);
+  if (!TIKTOK_RECORD_DIR) return res.status(404).json({ error: 'recording_disabled' });
+
+  let session = String(req.query.session || '').trim();
+  const user = String(req.query.user || '').trim().replace(/^@/, '').toLowerCase();
+  if (!session && !user) return res.status(400).json({ error: 'Missing ?session= or ?user=' });
+  if (!session) session = ((await listRecordings({ user }))[0] || {}).session || '';
+  if (session && !RECORDING_NAME_RE.test(session)) return res.status(400).json({ error: 'invalid session' });
+  const file = session ? path.join(TIKTOK_RECORD_DIR, session + '.ndjson') : '';
+  if (!file || !fs.existsSync(file)) return res.status(404).json({ error: 'session_not_found' });
+
+  const speed = Math.min(REPLAY_SPEED_MAX, Number(req.query.speed) > 0 ? Number(req.query.speed) : 1);
+  const loop = String(req.query.loop || '') === '1' || String(req.query.loop || '') === 'true';
+  const maxGapMs = Number(req.query.maxGapMs) > 0 ? Number(req.query.maxGapMs) : Infinity;
+  const events = parseEventFilter(req.query.events);
+  const resumeRaw = String(req.headers['last-event-id'] || req.query.lastEventId || '').trim();
+  const resumeFrom = /^\d+$/.test(resumeRaw) ? Number(resumeRaw) : 0;
+
+  const release = acquireStream(req.ip);
+  if (typeof release !== 'function') return sseRateLimited(req, res, { scope: release.scope, retryAfterMs: 30000 });
+  const { send, stop } = startSse(req, res);
+
+  let closed = false;
+  let timer = null;
+  let reader = null;
+  req.on('close', () => {
+    closed = true;
+    clearTimeout(timer);
+    if (reader) reader.close();
+    stop();
+    release();
+  });
+  const sleep = (ms) => new Promise(resolve => { timer = setTimeout(resolve, ms); });
+
+  let chatFilter = null;
+  // Same per-client rules deliver() applies to room events
+  const deliver = (rec, id) => {
+    if (TIKTOK_EVENT_MAPPERS[rec.event] && events && !events.has(rec.event)) return;
+    let data = rec.data;
+    if (rec.event === 'chat' && chatFilter) {
+      data = chatFilter.apply(data, { live: true });
+      if (!data) return;
+    }
+    send(rec.event, data, id);
+  };
+
+  send('debug', { stage: 'replay', session, speed, loop, resumeFrom });
+
+  try {
+    // Jump straight to the loop a resumed client left off in
+    const total = resumeFrom && loop ? await countRecordedEvents(file) : 0;
+    let id = total ? Math.floor(resumeFrom / total) * total : 0;
+    for (;;) {
+      reader = recordingLines(file);
+      let prevT = 0;
+      let played = 0;
+      for await (const rec of reader.lines) {
+        if (closed) return;
+        if (rec.recording && !chatFilter) {
+          const preset = moderationPresetFor(String(rec.user || ''), req.query.moderation);
+          if (preset !== 'off') chatFilter = createChatFilter(preset);
+        }
+        if (!rec.event) continue;
+        id++;
+        played++;
+        const t = Number(rec.t) || 0;
+        const wait = Math.min(maxGapMs, Math.max(0, t - prevT) / speed);
+        prevT = t;
+        if (id <= resumeFrom) continue;
+        if (wait >= 1) await sleep(wait);
+        if (closed) return;
+        deliver(rec, id);
+      }
+      if (closed || !loop || !played) break;
+      await sleep(Math.min(maxGapMs, REPLAY_LOOP_PAUSE_MS / speed));
+      if (closed) return;
+    }
+  } catch (e) {
+    if (!closed) send('status', { state: 'error', where: 'replay', error: serializeErr(e).message });
+  }
+  // Played out: stay open like a stream that has gone quiet
+});
+
+/* --------------------------- TikTok live status -------------------------- */
+// GET /tiktok/status?users=a,b,c   (or POST /tiktok/status, JSON { users: [...] })
+// Live/offline for a lobby of users without opening a stream each. Per user:
+// one profile scrape (roomId + CDN region hint), then the webcast room status.
+// Answers a JSON array in request order:
+//   [{ user, live, roomId, region, checkedAt, cache }, { user, error }, ...]
+// Lookups are cached for TIKTOK_STATUS_TTL_MS; a failed lookup only fails its
+// own entry (not cached). At most TIKTOK_STATUS_CONCURRENCY lookups run at once
+// across the whole process (requests and the go-live watcher alike), and the
+// rate limit charges one token per user that isn't answered from the cache.
+const TIKTOK_STATUS_MAX_USERS = Number(process.env.TIKTOK_STATUS_MAX_USERS || 50);
+const TIKTOK_STATUS_CONCURRENCY = Math.max(1, Number(process.env.TIKTOK_STATUS_CONCURRENCY || 4));
+
+const tiktokStatusCache = createCache({
+  name: 'tiktok-status',
+  max: Number(process.env.TIKTOK_STATUS_CACHE_MAX || 2000),
+  ttlMs: Number(process.env.TIKTOK_STATUS_TTL_MS || 30000)
+});
+
+// "@A, b" | ['a', 'b'] → ['a', 'b'] (lowercased, de-duplicated, order kept)
+function parseTikTokUsers(raw) {
+  const list = [].concat(raw || []).flatMap(u => String(u).split(','));
+  const out = [];
+  for (const u of list) {
+    const user = u.trim().replace(/^@/, '').toLowerCase();
+    if (user && !out.includes(user)) out.push(user);
+  }
+  return out;
+}
+
+// run(fn) with at most `limit` fns in flight; the rest wait in FIFO order
+function createSemaphore(limit) {
+  let active = 0;
+  const waiting = [];
+  const release = () => {
+    active--;
+    if (waiting.length) waiting.shift()();
+  };
+  return async function run(fn) {
+    if (active >= limit) await new Promise(resolve => waiting.push(resolve));
+    active++;
+    try { return await fn(); } finally { release(); }
+  };
+}
+const tiktokStatusSlot = createSemaphore(TIKTOK_STATUS_CONCURRENCY);
+
+// Anonymous browser-ish headers; no cookie grab or session, a status check doesn't need them
+function tiktokStatusHeaders(user) {
+  return {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36',
+    'Referer': `https://www.tiktok.com/@${encodeURIComponent(user)}/live`,
+    'Origin': 'https://www.tiktok.com',
+    'Accept': 'application/json, text/plain, */*',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Cookie': 'tt-web-region=US'
+  };
+}
+
+function lookupTikTokStatus(user) {
+  return tiktokStatusSlot(() => lookupTikTokStatusNow(user));
+}
+
+async function lookupTikTokStatusNow(user) {
+  const headers = tiktokStatusHeaders(user);
+  const scraped = await scrapeRoomIdFromWebProfile(user, headers, { validate: false });
+  // Blocked or unreachable is not the same as "no room": don't report offline
+  if (!scraped.pageOk) throw Object.assign(new Error('profile page unavailable'), { code: 'scrape_failed' });
+  const region = scraped.regionHint || null;
+  // No room on the page: never been live, or not live for a while
+  if (!scraped.roomId) return { user, live: false, roomId: null, region, checkedAt: new Date().toISOString() };
+
+  const check = await getWebcastRoomStatus(scraped.roomId, headers);
+  if (check.error || !check.rawOk) {
+    throw Object.assign(new Error(check.error || 'webcast room info unavailable'), { code: 'webcast_unavailable' });
+  }
+  return { user, live: check.live, roomId: scraped.roomId, region, checkedAt: new Date().toISOString() };
+}
+
+async function tiktokStatusEntry(user) {
+  if (!normalizeTikTokUser(user)) return { user, error: 'invalid_user' };
+  try {
+    const { value, state } = await tiktokStatusCache.get(user, () => lookupTikTokStatus(user));
+    return { ...value, cache: state };
+  } catch (e) {
+    log.warn('tiktok status lookup failed', { user, error: e && e.message ? e.message : String(e) });
+    return { user, error: (e && e.code) || 'upstream_unavailable' };
+  }
+}
+
+async function handleTikTokStatus(req, res) {
+  setCORS(req, res);
+  const body = req.method === 'POST' && req.body && typeof req.body === 'object' ? req.body : {};
+  const users = parseTikTokUsers(body.users != null ? body.users : req.query.users);
+  if (!users.length) return res.status(400).json({ error: 'Missing ?users=' });
+  if (users.length > TIKTOK_STATUS_MAX_USERS) {
+    return res.status(400).json({ error: 'too_many_users', max: TIKTOK_STATUS_MAX_USERS });
+  }
+
+  // One token per user that needs an upstream lookup (at least one per request)
+  const uncached = users.filter(u => normalizeTikTokUser(u) && !tiktokStatusCache.fresh(u)).length;
+  const r = checkRate('tiktok-status', req.ip, '', uncached);
+  if (!r.ok) return sendRateLimited(req, res, r);
+
+  const out = await Promise.all(users.map(tiktokStatusEntry));
+  res.set('Cache-Control', 'no-store');
+  return res.json(out);
+}
+
+const tiktokStatusJson = express.json({ limit: '16kb' });
+app.get('/tiktok/status', handleTikTokStatus);
+app.post('/tiktok/status', tiktokStatusJson, handleTikTokStatus);
+
+
+/* --------------------------- TikTok WebSocket ---------------------------- */
+// WS /tiktok-ws?user=<handle>[&events=chat,gift][&moderation=<preset>][&lastEventId=N][&closeOnOffline=1]
+//                [&trust=1][&force=1][&region=US|EU]
+// Same rooms, room options and payloads as /tiktok-sse, framed as JSON:
+//   server → client  { type: <event>, id, data }   (id omitted on snapshots)
+//                    { type: 'cursor', id }         (resume point after join)
+//                    { type: 'ack', cmd, ... } | { type: 'error', error } | { type: 'pong', ts }
+//   client → server  { cmd: 'subscribe', user, events?, moderation?, lastEventId?, closeOnOffline?,
+//                      trust?, force?, region? }
+//                    { cmd: 'unsubscribe' } | { cmd: 'reconnect' } | { cmd: 'ping' }
+// Re-sending `subscribe` for the current user only swaps the event filter.
+// A null or empty lastEventId means no resume, as a missing one does.
+const WS_CLOSE = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  UNSUPPORTED_USER: 4400, // missing or malformed TikTok handle
+  OFFLINE: 4404,          // user not live (only with closeOnOffline)
+  ENDED: 4410,            // stream ended (only with closeOnOffline)
+  CLOSED: 4403            // room closed server-side (admin kill)
+};
+
+// TikTok handles: letters, digits, "_" and "." (2–24 chars)
+function normalizeTikTokUser(raw) {
+  const u = String(raw || '').trim().toLowerCase().replace(/^@/, '');
+  return /^[a-z0-9._]{2,24}$/.test(u) ? u : '';
+}
+
+function attachTikTokWs(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: '/tiktok-ws',
+    // Browsers don't preflight upgrades, so apply the route's CORS policy here,
+    // plus the same rate limits and stream caps as /tiktok-sse
+    verifyClient: ({ origin, req }, done) => {
+      const policy = corsPolicyFor('/tiktok-ws');
+      if (origin && policy.strict && !originAllowed(policy, origin)) return done(false, 403, 'Origin not allowed');
+
+      const ip = clientIpOf(req);
+      const user = new URL(req.url, 'http://localhost').searchParams.get('user') || '';
+      const r = checkRate('tiktok-sse', ip, normalizeTikTokUser(user));
+      if (!r.ok) {
+        return done(false, 429, 'Too Many Requests', { 'Retry-After': String(Math.max(1, Math.ceil(r.retryAfterMs / 1000))) });
+      }
+      if (req.socket.destroyed) return done(false, 400);
+      const release = acquireStream(ip);
+      if (typeof release !== 'function') return done(false, 429, 'Too Many Streams', { 'Retry-After': '30' });
+      // The slot goes with the socket: ws drops a handshake whose client left
+      // without a 'connection' (or a 'close' for it), so don't rely on those
+      req.socket.once('close', release);
+      done(true);
+    }
+  });
+
+  // Heartbeat: drop sockets that stop answering pings
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (ws.isAlive === false) { try { ws.terminate(); } catch {} continue; }
+      ws.isAlive = false;
+      try { ws.ping(); } catch {}
+    }
+  }, 30000);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  wss.on('connection', (ws, req) => {
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    const reply = (msg) => {
+      if (ws.readyState !== ws.OPEN) return;
+      try { ws.send(JSON.stringify(msg)); } catch {}
+    };
+
+    let room = null;
+    let client = null;
+    let closeOnOffline = false;
+
+    const leave = () => {
+      if (room && client) room.unsubscribe(client);
+      room = null;
+      client = null;
+    };
+
+    const join = (rawUser, { events, lastEventId, moderation, trust, force, region } = {}) => {
+      const user = normalizeTikTokUser(rawUser);
+      if (!user) {
+        leave();
+        ws.close(WS_CLOSE.UNSUPPORTED_USER, 'unsupported user');
+        return;
+      }
+
+      const filter = parseEventFilter(Array.isArray(events) ? events.join(',') : events);
+      if (room && room.user === user) {
+        client.events = filter;
+        if (moderation !== undefined) client.moderation = String(moderation || '');
+        return reply({ type: 'ack', cmd: 'subscribe', user, events: filter ? Array.from(filter) : null });
+      }
+
+      leave();
+      const c = {
+        events: filter,
+        moderation: String(moderation || ''),
+        send: (event, data, id) => {
+          reply(id != null ? { type: event, id, data } : { type: event, data });
+          if (closeOnOffline && event === 'status' && data) {
+            if (data.state === 'offline') ws.close(WS_CLOSE.OFFLINE, 'offline');
+            else if (data.state === 'ended') ws.close(WS_CLOSE.ENDED, 'stream ended');
+          }
+        },
+        mark: (id) => reply({ type: 'cursor', id }),
+        meta: { transport: 'ws', ip: clientIpOf(req), origin: req.headers.origin || null, since: Date.now() },
+        close: (reason) => { room = null; client = null; ws.close(WS_CLOSE.CLOSED, String(reason || 'closed').slice(0, 100)); }
+      };
+      client = c;
+      // Same room options as /tiktok-sse (true or "1" from a subscribe message)
+      const flag = (v) => v === true || String(v ?? '') === '1';
+      room = getOrCreateRoom(user, { trust: flag(trust), force: flag(force), region: String(region || '') });
+      reply({ type: 'ack', cmd: 'subscribe', user, events: filter ? Array.from(filter) : null });
+      const resumeFrom = String(lastEventId ?? '').trim();
+      room.subscribe(c, { lastEventId: /^\d+$/.test(resumeFrom) ? Number(resumeFrom) : null });
+    };
+
+    ws.on('message', (buf) => {
+      let msg;
+      try { msg = JSON.parse(String(buf)); } catch { return reply({ type: 'error', error: 'invalid_json' }); }
+      const cmd = msg && String(msg.cmd || '');
+
+      switch (cmd) {
+        case 'subscribe':
+          if (msg.closeOnOffline !== undefined) closeOnOffline = Boolean(msg.closeOnOffline);
+          return join(msg.user, msg);
+        case 'unsubscribe':
+          leave();
+          return reply({ type: 'ack', cmd });
+        case 'reconnect':
+          if (!room) return reply({ type: 'error', cmd, error: 'not_subscribed' });
+          room.reconnect('client');
+          return reply({ type: 'ack', cmd, user: room.user });
+        case 'ping':
+          return reply({ type: 'pong', ts: Date.now() });
+        default:
+          return reply({ type: 'error', cmd, error: 'unknown_command' });
+      }
+    });
+
+    metrics.streamClients.inc({ transport: 'ws' });
+    ws.on('close', () => {
+      leave();
+      metrics.streamClients.dec({ transport: 'ws' });
+    });
+    ws.on('error', () => {});
+
+    // Initial subscription straight from the URL, if given
+    const q = new URL(req.url, 'http://localhost').searchParams;
+    closeOnOffline = q.get('closeOnOffline') === '1';
+    if (q.has('user')) {
+      join(q.get('user'), {
+        events: q.get('events'),
+        lastEventId: q.get('lastEventId') ?? undefined,
+        moderation: q.get('moderation') ?? undefined,
+        trust: q.get('trust'),
+        force: q.get('force'),
+        region: q.get('region')
+      });
+    }
+  });
+
+  return wss;
+}
+
+
+/* ------------------------------ Game sessions ---------------------------- */
+// Server-side answer checking for the key-guessing game. The host creates a
+// session for a TikTok user with the secret answer; the session subscribes to
+// that user's room like any other client, checks every chat message, and
+// broadcasts the results to the room's SSE/WS clients:
+//   guess-correct { sessionId, uniqueId, nickname, rank, at }
+//   guess-close   { sessionId, uniqueId, nickname, distance }
+//   guess-reveal  { sessionId, answer, winners }
+// The answer only leaves the server through guess-reveal (or the host view).
+//
+// POST   /game/sessions               { user, answer, aliases?, fuzzy?, close?, maxWinners? }
+//                                     → { session, hostToken }
+// GET    /game/sessions/:id           public view (answer only once revealed)
+// POST   /game/sessions/:id/reveal    host only (Authorization: Bearer <hostToken> or X-Host-Token)
+// DELETE /game/sessions/:id           host only
+// `close` is capped at a third of each answer's length, so a short answer
+// doesn't count every short chat word as close.
+const GAME_SESSION_TTL_MS = Number(process.env.GAME_SESSION_TTL_MS || 2 * 60 * 60 * 1000);
+const gameSessions = new Map(); // id -> session
+
+// "Pokémon: Red!" → "pokemon red"
+function normalizeGuess(s) {
+  return String(s || '')
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function levenshtein(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Smallest edit distance between a target and the comment as a whole or any
+// run of comment words as long as the target ("i think its minecraft" vs "minecraft")
+function guessDistance(commentNorm, target, max) {
+  const squash = (s) => s.replace(/ /g, '');
+  const t = squash(target.norm);
+  let best = levenshtein(squash(commentNorm), t, max);
+  const words = commentNorm.split(' ');
+  const n = target.words;
+  for (let i = 0; best > 0 && i + n <= words.length; i++) {
+    best = Math.min(best, levenshtein(words.slice(i, i + n).join(''), t, max));
+  }
+  return best;
+}
+
+function createGameSession({ user, answer, aliases = [], fuzzy = 0, close = 2, maxWinners = 1 }) {
+  const targets = [answer, ...aliases]
+    .map(normalizeGuess).filter(Boolean)
+    .map(norm => ({ norm, words: norm.split(' ').length, closeMax: Math.floor(norm.replace(/ /g, '').length / 3) }));
+
+  const session = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    hostToken: crypto.randomBytes(24).toString('base64url'),
+    user,
+    answer: String(answer),
+    state: 'open',             // open | won | revealed | closed
+    winners: [],               // [{ uniqueId, nickname, at }]
+    createdAt: Date.now(),
+    fuzzy: Math.max(0, Math.min(5, Number(fuzzy) || 0)),
+    close: Math.max(0, Math.min(5, Number(close) || 0)),
+    maxWinners: Math.max(1, Math.min(100, Number(maxWinners) || 1))
+  };
+
+  const closeSent = new Set(); // `${uniqueId}\n${comment}` already reported as close
+  const room = getOrCreateRoom(user, {});
+
+  const check = (chat) => {
+    if (session.state !== 'open' || !chat || !chat.comment) return;
+    const who = String(chat.uniqueId || '');
+    if (session.winners.some(w => w.uniqueId === who)) return;
+
+    const comment = normalizeGuess(chat.comment);
+    if (!comment) return;
+    // Closest target within its own reach (fuzzy plus its length-capped close)
+    let distance = Infinity;
+    for (const t of targets) {
+      const max = session.fuzzy + Math.min(session.close, t.closeMax);
+      const d = guessDistance(comment, t, max);
+      if (d <= max && d < distance) distance = d;
+    }
+
+    if (distance <= session.fuzzy) {
+      const winner = { uniqueId: who, nickname: chat.nickname || '', at: Date.now() };
+      session.winners.push(winner);
+      if (session.winners.length >= session.maxWinners) session.state = 'won';
+      room.broadcast('guess-correct', { sessionId: session.id, ...winner, rank: session.winners.length });
+    } else if (Number.isFinite(distance)) {
+      const key = who + '\n' + comment;
+      if (closeSent.has(key)) return;
+      closeSent.add(key);
+      room.broadcast('guess-close', { sessionId: session.id, uniqueId: who, nickname: chat.nickname || '', distance });
+    }
+  };
+
+  // Headless room subscriber: keeps the connector alive and sees every chat
+  const client = {
+    events: new Set(['chat']),
+    moderation: 'off', // every guess counts, even repeated ones
+    // Defer so the chat itself reaches clients before the verdict
+    send: (event, data) => { if (event === 'chat') setImmediate(() => check(data)); },
+    meta: { transport: 'game', session: session.id, since: session.createdAt },
+    close: () => closeGameSession(session, 'room-closed')
+  };
+  room.subscribe(client);
+
+  const expiry = setTimeout(() => closeGameSession(session, 'expired'), GAME_SESSION_TTL_MS);
+  expiry.unref();
+
+  session.reveal = () => {
+    if (session.state === 'closed') return;
+    session.state = 'revealed';
+    room.broadcast('guess-reveal', { sessionId: session.id, answer: session.answer, winners: session.winners });
+  };
+  session.detach = () => {
+    clearTimeout(expiry);
+    room.unsubscribe(client);
+  };
+
+  gameSessions.set(session.id, session);
+  return session;
+}
+
+function closeGameSession(session, reason) {
+  if (!session || session.state === 'closed') return;
+  session.state = 'closed';
+  session.detach();
+  gameSessions.delete(session.id);
+  log.info('game session closed', { session: session.id, room: session.user, reason });
+}
+
+function gameSessionView(s, { host = false } = {}) {
+  return {
+    id: s.id,
+    user: s.user,
+    state: s.state,
+    winners: s.winners,
+    createdAt: new Date(s.createdAt).toISOString(),
+    fuzzy: s.fuzzy,
+    close: s.close,
+    maxWinners: s.maxWinners,
+    ...(host || s.state === 'revealed' ? { answer: s.answer } : {})
+  };
+}
+
+function isGameHost(req, s) {
+  const auth = String(req.headers.authorization || '');
+  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : String(req.headers['x-host-token'] || '');
+  if (!token) return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(s.hostToken);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+const gameJson = express.json({ limit: '16kb' });
+
+app.post('/game/sessions', rateLimit('game'), gameJson, (req, res) => {
+  const body = req.body || {};
+  const user = normalizeTikTokUser(body.user);
+  if (!user) return res.status(400).json({ error: 'Provide a valid TikTok "user"' });
+
+  const answer = String(body.answer || '').trim();
+  if (!normalizeGuess(answer) || answer.length > 200) return res.status(400).json({ error: 'Provide an "answer" (1–200 chars)' });
+
+  const aliases = (Array.isArray(body.aliases) ? body.aliases : [])
+    .map(a => String(a || '').trim()).filter(a => a && a.length <= 200).slice(0, 20);
+
+  const session = createGameSession({ user, answer, aliases, fuzzy: body.fuzzy, close: body.close, maxWinners: body.maxWinners });
+  res.set('Cache-Control', 'no-store');
+  return res.status(201).json({ session: gameSessionView(session, { host: true }), hostToken: session.hostToken });
+});
+
+app.get('/game/sessions/:id', rateLimit('game'), (req, res) => {
+  const s = gameSessions.get(req.params.id);
+  if (!s) return res.status(404).json({ error: 'session_not_found' });
+  res.set('Cache-Control', 'no-store');
+  return res.json({ session: gameSessionView(s, { host: isGameHost(req, s) }) });
+});
+
+app.post('/game/sessions/:id/reveal', rateLimit('game'), (req, res) => {
+  const s = gameSessions.get(req.params.id);
+  if (!s) return res.status(404).json({ error: 'session_not_found' });
+  if (!isGameHost(req, s)) return res.status(403).json({ error: 'host_token_required' });
+  s.reveal();
+  return res.json({ session: gameSessionView(s, { host: true }) });
+});
+
+app.delete('/game/sessions/:id', rateLimit('game'), (req, res) => {
+  const s = gameSessions.get(req.params.id);
+  if (!s) return res.status(404).json({ error: 'session_not_found' });
+  if (!isGameHost(req, s)) return res.status(403).json({ error: 'host_token_required' });
+  closeGameSession(s, 'deleted');
+  return res.status(204).end();
+});
+
+/* -------------------------------- Admin API ------------------------------ */
+// Operator view of the TikTok rooms behind /tiktok-sse, /tiktok-ws and game
+// sessions (watch list endpoints: see Go-live watcher below). Disabled (404) unless ADMIN_TOKEN is set; every call needs
+// "Authorization: Bearer <ADMIN_TOKEN>".
+//   GET    /admin/rooms                    → { rooms: [view] }
+//   GET    /admin/rooms/:user[?debug=N]    → { room: view + last N debug events }
+//   POST   /admin/rooms/:user/reconnect    → drop the connector and start over
+//   POST   /admin/rooms/:user/region       { region: 'US' | 'EU' } → pin + reconnect
+//   DELETE /admin/rooms/:user              → close the room and its client streams
+//   GET    /admin/tiktok/sessions          → { sessions: [pool health], cookies: [jar names + expiry] }
+// Clients stay connected through reconnects and region switches; they just
+// see the usual status/room/open events.
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || '').trim();
+const adminJson = express.json({ limit: '4kb' });
+
+function adminAuth(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(404).json({ error: 'admin_disabled' });
+  if (!bearerMatches(req, ADMIN_TOKEN)) return res.status(401).json({ error: 'unauthorized' });
+  res.set('Cache-Control', 'no-store');
+  next();
+}
+
+const isoOrNull = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+function adminRoomView(room, opts) {
+  const { connectedAt, lastEventAt, clients, debug, ...rest } = room.info(opts);
+  return {
+    ...rest,
+    connectedSince: isoOrNull(connectedAt),
+    lastEventAt: isoOrNull(lastEventAt),
+    clients: clients.map(c => ({ ...c, since: isoOrNull(c.since) })),
+    ...(debug ? { debug: debug.map(d => ({ at: isoOrNull(d.at), ...d.data })) } : {})
+  };
+}
+
+// :user → live room, or a 404 answer
+function adminRoom(req, res) {
+  const room = rooms.get(String(req.params.user || '').trim().toLowerCase());
+  if (!room) res.status(404).json({ error: 'room_not_found' });
+  return room;
+}
+
+app.get('/admin/rooms', adminAuth, (_req, res) => {
+  const list = Array.from(rooms.values()).map(r => adminRoomView(r));
+  res.json({ rooms: list });
+});
+
+app.get('/admin/rooms/:user', adminAuth, (req, res) => {
+  const room = adminRoom(req, res);
+  if (!room) return;
+  const debug = Math.max(0, Math.min(ROOM_DEBUG_LOG, Number(req.query.debug ?? ROOM_DEBUG_LOG) || 0));
+  res.json({ room: adminRoomView(room, { debug }) });
+});
+
+app.post('/admin/rooms/:user/reconnect', adminAuth, (req, res) => {
+  const room = adminRoom(req, res);
+  if (!room) return;
+  room.reconnect('admin');
+  res.json({ ok: true, user: room.user });
+});
+
+app.post('/admin/rooms/:user/region', adminAuth, adminJson, (req, res) => {
+  const region = String((req.body && req.body.region) || req.query.region || '').trim().toUpperCase();
+  if (!/^(US|EU)$/.test(region)) return res.status(400).json({ error: 'region must be US or EU' });
+  const room = adminRoom(req, res);
+  if (!room) return;
+  room.setRegion(region);
+  res.json({ ok: true, user: room.user, region });
+});
+
+app.delete('/admin/rooms/:user', adminAuth, (req, res) => {
+  const room = adminRoom(req, res);
+  if (!room) return;
+  const clients = room.subscribers;
+  room.destroy('admin');
+  res.json({ ok: true, user: room.user, closedClients: clients });
+});
+
+// Labels and lifetimes only; neither list carries a session or cookie value
+app.get('/admin/tiktok/sessions', adminAuth, (_req, res) => {
+  res.json({ sessions: tiktokSessions.view(), cookies: tiktokCookies.view() });
+});
+
+/* ---------------------------- Go-live watcher ---------------------------- */
+// Polls watched users with the /tiktok/status lookup and POSTs a webhook when
+// one goes live (offline → live: "tiktok.live") or stops (live → offline:
+// "tiktok.ended"). The first check after adding a watch only records the state.
+//   WATCH_FILE                     persist the watch list + last state here, JSON (default: memory only,
+//                                  so watches are lost on restart)
+//   WATCH_POLL_MS                  time between checks (default 60000); failed checks back
+//                                  off doubling up to WATCH_MAX_BACKOFF_MS (default 600000)
+//   WATCH_WEBHOOK_URLS             comma-separated URLs notified for every watch (watches can add their own)
+//   WATCH_WEBHOOK_SECRET           signs each delivery: X-Relay-Signature: sha256=HMAC(secret, "<timestamp>.<body>")
+//                                  with the timestamp (unix seconds) in X-Relay-Timestamp
+//   WATCH_WEBHOOK_RETRY_DELAYS_MS  waits between attempts after a non-2xx/timeout (default 5000,30000,120000)
+// Admin API (same ADMIN_TOKEN rules as /admin/rooms):
+//   GET    /admin/watches                        → { watches: [view] }
+//   POST   /admin/watches    { user, webhooks? } → add (201) or update (200) a watch
+//   DELETE /admin/watches/:user                  → stop watching
+//   POST   /admin/watches/:user/check            → check now instead of at nextCheckAt
+//   GET    /admin/watches/deliveries[?user=&limit=] → recent deliveries, newest first
+const WATCH_FILE = process.env.WATCH_FILE || '';
+const WATCH_POLL_MS = Math.max(10, Number(process.env.WATCH_POLL_MS || 60000));
+const WATCH_MAX_BACKOFF_MS = Math.max(WATCH_POLL_MS, Number(process.env.WATCH_MAX_BACKOFF_MS || 600000));
+const WATCH_MAX = Number(process.env.WATCH_MAX || 200);
+const WATCH_WEBHOOK_URLS = parseWebhookUrls(process.env.WATCH_WEBHOOK_URLS);
+const WATCH_WEBHOOK_SECRET = process.env.WATCH_WEBHOOK_SECRET || '';
+const WATCH_WEBHOOK_TIMEOUT_MS = Number(process.env.WATCH_WEBHOOK_TIMEOUT_MS || 10000);
+const WATCH_WEBHOOK_RETRY_DELAYS_MS = (process.env.WATCH_WEBHOOK_RETRY_DELAYS_MS || '5000,30000,120000')
+  .split(',').map(Number).filter(n => Number.isFinite(n) && n >= 0);
+const WATCH_DELIVERY_LOG = Number(process.env.WATCH_DELIVERY_LOG || 200);
+
+// "a, b" | ['a', 'b'] → absolute http(s) URLs; null if any entry isn't one
+function parseWebhookUrls(raw) {
+  const out = [];
+  for (const u of [].concat(raw || []).flatMap(x => String(x).split(',')).map(x => x.trim()).filter(Boolean)) {
+    let url;
+    try { url = new URL(u); } catch { return null; }
+    if (!/^https?:$/.test(url.protocol)) return null;
+    if (!out.includes(url.href)) out.push(url.href);
+  }
+  return out;
+}
+
+function signWebhook(timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', WATCH_WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createWatcher({ file }) {
+  const watches = new Map(); // user -> { user, webhooks, state, roomId, region, since, addedAt, lastCheckAt, nextCheckAt, failures, lastError, timer }
+  const deliveries = [];     // newest last, capped at WATCH_DELIVERY_LOG
+
+  function persist() {
+    if (!file) return;
+    try {
+      const saved = Array.from(watches.values(), ({ user, webhooks, state, roomId, region, since, addedAt }) =>
+        ({ user, webhooks, state, roomId, region, since, addedAt }));
+      const tmp = file + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify({ watches: saved }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      log.warn('watch list save failed', { file, error: e && e.message ? e.message : String(e) });
+    }
+  }
+
+  function restore() {
+    if (!file) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      for (const w of (saved && Array.isArray(saved.watches) ? saved.watches : [])) {
+        if (!w || !w.user || normalizeTikTokUser(w.user) !== w.user) continue;
+        watches.set(w.user, {
+          ...blank(w.user),
+          webhooks: parseWebhookUrls(w.webhooks) || [],
+          state: ['live', 'offline'].includes(w.state) ? w.state : 'unknown',
+          roomId: w.roomId || null,
+          region: w.region || null,
+          since: w.since || null,
+          addedAt: w.addedAt || Date.now()
+        });
+      }
+      log.info('watch list restored', { watches: watches.size, file });
+    } catch (e) {
+      if (e && e.code !== 'ENOENT') log.warn('watch list restore failed', { file, error: e.message || String(e) });
+    }
+  }
+
+  function blank(user) {
+    return { user, webhooks: [], state: 'unknown', roomId: null, region: null, since: null, addedAt: Date.now(),
+      lastCheckAt: null, nextCheckAt: null, failures: 0, lastError: null, timer: null };
+  }
+
+  function schedule(w, ms) {
+    clearTimeout(w.timer);
+    w.nextCheckAt = Date.now() + ms;
+    w.timer = setTimeout(() => check(w), ms);
+    w.timer.unref();
+  }
+
+  async function check(w) {
+    if (watches.get(w.user) !== w) return;
+    clearTimeout(w.timer);
+    let status;
+    try {
+      ({ value: status } = await tiktokStatusCache.get(w.user, () => lookupTikTokStatus(w.user)));
+    } catch (e) {
+      if (watches.get(w.user) !== w) return;
+      w.lastCheckAt = Date.now();
+      w.failures++;
+      w.lastError = (e && (e.code || e.message)) || String(e);
+      const wait = Math.min(WATCH_MAX_BACKOFF_MS, WATCH_POLL_MS * 2 ** w.failures);
+      log.warn('watch check failed', { user: w.user, failures: w.failures, retryInMs: wait, error: w.lastError });
+      return schedule(w, wait);
+    }
+    if (watches.get(w.user) !== w) return;
+    w.lastCheckAt = Date.now();
+    w.failures = 0;
+    w.lastError = null;
+
+    const prev = w.state;
+    const next = status.live ? 'live' : 'offline';
+    if (status.roomId) w.roomId = status.roomId;
+    if (status.region) w.region = status.region;
+    if (prev !== next) {
+      w.state = next;
+      w.since = Date.now();
+      log.info('watch state changed', { user: w.user, from: prev, to: next, roomId: w.roomId });
+      if (prev === 'offline' && next === 'live') notify(w, 'tiktok.live', prev);
+      if (prev === 'live' && next === 'offline') notify(w, 'tiktok.ended', prev);
+      persist();
+    }
+    schedule(w, WATCH_POLL_MS);
+  }
+
+  // One delivery per target URL, all carrying the same event payload
+  function notify(w, event, previous) {
+    const targets = Array.from(new Set([...(WATCH_WEBHOOK_URLS || []), ...w.webhooks]));
+    if (!targets.length) return;
+    const body = JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      user: w.user,
+      roomId: w.roomId,
+      region: w.region,
+      previous,
+      at: new Date(w.since).toISOString()
+    });
+    for (const url of targets) {
+      const d = { id: crypto.randomUUID(), event, user: w.user, url, state: 'pending', attempts: [], createdAt: Date.now(), nextAttemptAt: null };
+      deliveries.push(d);
+      if (deliveries.length > WATCH_DELIVERY_LOG) deliveries.shift();
+      attempt(d, body);
+    }
+  }
+
+  async function attempt(d, body) {
+    const started = Date.now();
+    const timestamp = String(Math.floor(started / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'tiktok-sse-relay-webhook/1',
+      'X-Relay-Event': d.event,
+      'X-Relay-Delivery': d.id,
+      'X-Relay-Timestamp': timestamp
+    };
+    if (WATCH_WEBHOOK_SECRET) headers['X-Relay-Signature'] = signWebhook(timestamp, body);
+
+    const result = { at: started, status: null, error: null, durationMs: 0 };
+    try {
+      const r = await upstreamFetch('webhook', d.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(WATCH_WEBHOOK_TIMEOUT_MS) });
+      result.status = r.status;
+      await r.arrayBuffer().catch(() => {});
+      if (!r.ok) result.error = `HTTP ${r.status}`;
+    } catch (e) {
+      result.error = (e && e.message) || String(e);
+    }
+    result.durationMs = Date.now() - started;
+    d.attempts.push(result);
+
+    if (!result.error) {
+      d.state = 'delivered';
+      d.nextAttemptAt = null;
+      metrics.webhookDeliveries.inc({ outcome: 'delivered' });
+      return;
+    }
+    const wait = WATCH_WEBHOOK_RETRY_DELAYS_MS[d.attempts.length - 1];
+    if (wait == null) {
+      d.state = 'failed';
+      d.nextAttemptAt = null;
+      metrics.webhookDeliveries.inc({ outcome: 'failed' });
+      log.warn('webhook delivery failed', { delivery: d.id, event: d.event, user: d.user, attempts: d.attempts.length, error: result.error });
+      return;
+    }
+    d.state = 'retrying';
+    d.nextAttemptAt = Date.now() + wait;
+    setTimeout(() => attempt(d, body), wait).unref();
+  }
+
+  function view(w) {
+    return {
+      user: w.user,
+      state: w.state,
+      roomId: w.roomId,
+      region: w.region,
+      since: isoOrNull(w.since),
+      addedAt: isoOrNull(w.addedAt),
+      lastCheckAt: isoOrNull(w.lastCheckAt),
+      nextCheckAt: isoOrNull(w.nextCheckAt),
+      failures: w.failures,
+      lastError: w.lastError,
+      webhooks: w.webhooks
+    };
+  }
+
+  // → { watch, created } ; webhooks replace the watch's own list when given
+  function add(user, webhooks) {
+    let w = watches.get(user);
+    const created = !w;
+    if (created) {
+      w = blank(user);
+      watches.set(user, w);
+    }
+    if (webhooks) w.webhooks = webhooks;
+    persist();
+    if (created) check(w);
+    return { watch: view(w), created };
+  }
+
+  function remove(user) {
+    const w = watches.get(user);
+    if (!w) return false;
+    clearTimeout(w.timer);
+    watches.delete(user);
+    persist();
+    return true;
+  }
+
+  async function checkNow(user) {
+    const w = watches.get(user);
+    if (!w) return null;
+    await check(w);
+    return view(w);
+  }
+
+  restore();
+  // Spread the first checks out instead of polling every restored user at once
+  Array.from(watches.values()).forEach((w, i) => schedule(w, Math.min(WATCH_POLL_MS, i * 1000)));
+
+  return {
+    get size() { return watches.size; },
+    has: (user) => watches.has(user),
+    add,
+    remove,
+    checkNow,
+    list: () => Array.from(watches.values(), view),
+    deliveries: ({ user = '', limit = 50 } = {}) => deliveries
+      .filter(d => !user || d.user === user)
+      .slice(-limit)
+      .reverse()
+      .map(d => ({ ...d, createdAt: isoOrNull(d.createdAt), nextAttemptAt: isoOrNull(d.nextAttemptAt),
+        attempts: d.attempts.map(a => ({ ...a, at: isoOrNull(a.at) })) }))
+  };
+}
+
+const watcher = createWatcher({ file: WATCH_FILE });
+if (WATCH_WEBHOOK_URLS === null) log.warn('WATCH_WEBHOOK_URLS ignored: every entry must be an http(s) URL');
+else if (WATCH_WEBHOOK_URLS.length && !WATCH_WEBHOOK_SECRET) log.warn('WATCH_WEBHOOK_SECRET unset: webhooks go out unsigned');
+
+app.get('/admin/watches', adminAuth, (_req, res) => {
+  res.json({ watches: watcher.list() });
+});
+
+app.get('/admin/watches/deliveries', adminAuth, (req, res) => {
+  const user = String(req.query.user || '').trim().replace(/^@/, '').toLowerCase();
+  const limit = Math.max(1, Math.min(WATCH_DELIVERY_LOG, Number(req.query.limit) || 50));
+  res.json({ deliveries: watcher.deliveries({ user, limit }) });
+});
+
+app.post('/admin/watches', adminAuth, adminJson, (req, res) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const user = normalizeTikTokUser(body.user || req.query.user);
+  if (!user) return res.status(400).json({ error: 'invalid_user' });
+  const webhooks = body.webhooks == null ? null : parseWebhookUrls(body.webhooks);
+  if (body.webhooks != null && !webhooks) return res.status(400).json({ error: 'webhooks must be http(s) URLs' });
+  if (!watcher.has(user) && watcher.size >= WATCH_MAX) return res.status(409).json({ error: 'too_many_watches', max: WATCH_MAX });
+  const { watch, created } = watcher.add(user, webhooks);
+  res.status(created ? 201 : 200).json({ ok: true, watch });
+});
+
+app.delete('/admin/watches/:user', adminAuth, (req, res) => {
+  const user = String(req.params.user || '').trim().toLowerCase();
+  if (!watcher.remove(user)) return res.status(404).json({ error: 'watch_not_found' });
+  res.json({ ok: true, user });
+});
+
+app.post('/admin/watches/:user/check', adminAuth, async (req, res) => {
+  const watch = await watcher.checkNow(String(req.params.user || '').trim().toLowerCase());
+  if (!watch) return res.status(404).json({ error: 'watch_not_found' });
+  res.json({ ok: true, watch });
+});
+
+
+// --- Twitch-only helpers for full About page proxy ---
+
+// Is this a Twitch URL?
+function isTwitchUrl(u) {
+  return /(^|\/\/)(www\.)?twitch\.tv\//i.test(String(u));
+}
+
+// Normalize to https://twitch.tv/<user>/about
+function normalizeTwitchAboutUrl(raw) {
+  const u = String(raw || '').trim();
+  try {
+    const url = new URL(u);
+    const user = (url.pathname.split('/').filter(Boolean)[0] || '').replace(/^@/, '');
+    return user ? `${url.origin}/${user}/about` : `${url.origin}/about`;
+  } catch {
+    return u.replace(/\/+$/, '') + '/about';
+  }
+}
+
+// GET /twitch-about?u=<twitch-channel-url>
+// Returns JSON: { sourceUrl, fetchedFrom: "jina"|"direct", format: "markdown"|"text", markdown, fetchedAt }
+app.get('/twitch-about', rateLimit('twitch-about', req => String(req.query.u || '').toLowerCase()), async (req, res) => {
+  try {
+    setCORS(req, res);
+
+    const rawU = String(req.query.u || '').trim();
+    if (!rawU || !isTwitchUrl(rawU)) {
+      return res.status(400).json({ error: 'Provide ?u= with a twitch.tv URL' });
+    }
+
+    const sourceUrl = normalizeTwitchAboutUrl(rawU);
+
+    const { page, tried } = await fetchPage([sourceUrl]);
+    if (!page) {
+      const status = tried.length ? tried[tried.length - 1].status || null : null;
+      return res.status(502).json({ error: 'upstream_unavailable', status, tried });
+    }
+
+    // Jina gives the whole About page as markdown; the direct fetcher only the description
+    let markdown = page.format === 'markdown' ? unwrapJina(page.body) : page.body;
+
+    // (Optional safety) cap extremely large responses to avoid memory spikes
+    if (markdown.length > 400_000) markdown = markdown.slice(0, 400_000);
+
+    return res.status(200).json({
+      sourceUrl,
+      fetchedFrom: page.fetcher,
+      format: page.format,
+      markdown,
+      fetchedAt: new Date().toISOString()
+    });
+  } catch (e) {
+    setCORS(req, res);
+    return res.status(503).json({ error: 'twitch_about_unavailable' });
+  }
+});
+
+// GET /debug/tiktok?user=<handle>
+// Scrapes the page (no auth) and also calls webcast status (if possible).
+app.get('/debug/tiktok', rateLimit('debug-tiktok', req => String(req.query.user || '').trim().toLowerCase()), async (req, res) => {
+  try {
     setCORS(req, res);
     const user = String(req.query.user || '').trim().toLowerCase();
     if (!user) return res.status(400).json({ error: 'Missing ?user=' });
@@ -988,10 +4073,9 @@ app.get('/debug/tiktok', async (req, res) => {
       'Accept-Encoding': 'gzip, deflate, br', 'Accept': 'application/json, text/plain, */*',
       'Accept-Language': 'en-US,en;q=0.9'
     };
-    let extraCookie = '';
-    try { extraCookie = await getTikTokCookieHeader(user, baseHeaders); } catch {}
-    const msToken = Array.from({length:107},()=> 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'[(Math.random()*62)|0]).join('');
-    const cookieHeader = ['msToken=' + msToken, 'tt-web-region=US', extraCookie].filter(Boolean).join('; ');
+    let jarCookie = '';
+    try { jarCookie = await getTikTokCookieHeader(user, baseHeaders); } catch {}
+    const cookieHeader = [jarCookie, 'tt-web-region=US'].filter(Boolean).join('; ');
     const commonHeaders = { ...baseHeaders, Cookie: cookieHeader };
 
     const scrapedNoValidate = await scrapeRoomIdFromWebProfile(user, commonHeaders, { validate: false });
@@ -1000,69 +4084,478 @@ app.get('/debug/tiktok', async (req, res) => {
       webcast = await getWebcastRoomStatus(scrapedNoValidate.roomId, { ...commonHeaders, Host: 'webcast.tiktok.com' });
     }
 
-    return res.json({ user, scrapedNoValidate, webcast, hadCookies: Boolean(extraCookie) });
+    return res.json({ user, scrapedNoValidate, webcast, hadCookies: tiktokCookies.has('ttwid') });
   } catch (e) {
     return res.status(500).json({ error: String(e && e.message || e) });
   }
 });
 
 // --- Steam reviews proxy ------------------------------------------------------
-// GET /steam-reviews?appId=570&cursor=*
-app.get('/steam-reviews', async (req, res) => {
+// One page (up to 100 reviews) of Steam's appreviews API
+async function fetchSteamReviewPage(appId, { cursor = '*', language = 'all' } = {}) {
+  const params = new URLSearchParams({
+    json: '1',
+    language,
+    filter: 'all',
+    num_per_page: '100',
+    purchase_type: 'all',
+    cursor
+  });
+
+  const url = `https://store.steampowered.com/appreviews/${encodeURIComponent(appId)}?${params.toString()}`;
+  const r = await upstreamFetch('steam', url, {
+    method: 'GET',
+    headers: { 'user-agent': 'Mozilla/5.0 (compatible; SteamGuess/1.0)' }
+  });
+  if (!r.ok) return { ok: false, status: r.status };
+
+  const data = await r.json();
+  return { ok: true, status: r.status, data };
+}
+
+// Store metadata for an app (name, developers, ...). Cached per appId + country;
+// delisted/region-locked apps come back as { ok: false } and are cached briefly.
+const steamAppCache = createCache({
+  name: 'steam-app',
+  max: Number(process.env.STEAM_APP_CACHE_MAX || 1000),
+  ttlMs: Number(process.env.STEAM_APP_CACHE_TTL_MS || 24 * 60 * 60 * 1000),
+  negativeTtlMs: Number(process.env.STEAM_APP_CACHE_NEG_TTL_MS || 60 * 60 * 1000),
+  staleMs: Number(process.env.STEAM_APP_CACHE_STALE_MS || 24 * 60 * 60 * 1000),
+  isNegative: (v) => !v || !v.ok,
+  file: process.env.STEAM_APP_CACHE_FILE || ''
+});
+
+async function fetchSteamAppDetails(appId, { cc = 'us' } = {}) {
+  const key = `${appId}:${cc}`;
+  const { value } = await steamAppCache.get(key, async () => {
+    const params = new URLSearchParams({ appids: appId, cc, l: 'english' });
+    const r = await upstreamFetch('steam', `https://store.steampowered.com/api/appdetails?${params.toString()}`, {
+      method: 'GET',
+      headers: { 'user-agent': 'Mozilla/5.0 (compatible; SteamGuess/1.0)' }
+    });
+    if (!r.ok) throw Object.assign(new Error('steam_upstream'), { status: r.status });
+    const json = await r.json();
+    const entry = json && json[appId];
+    if (!entry || !entry.success || !entry.data) return { ok: false, appId };
+    return { ok: true, appId, data: entry.data };
+  });
+  return value;
+}
+
+// Redaction tokens for an app: title, franchise, developers, publishers
+function steamTokensFromDetails(d) {
+  const related = [...(d.developers || []), ...(d.publishers || [])];
+  if (d.franchise) related.push(d.franchise);
+  return redactionTokensFromTitle(d.name, related);
+}
+
+async function steamRedactionTokens(appId) {
+  const details = await fetchSteamAppDetails(appId);
+  return details.ok ? steamTokensFromDetails(details.data) : null;
+}
+
+// ?redact=0 disables masking; ?dropMasked=1 (or a 0–1 ratio, default 0.5)
+// drops reviews whose letters would be mostly masked
+function steamRedactionOptions(q) {
+  const redact = !(q.redact === '0' || q.redact === 'false');
+  const raw = String(q.dropMasked || '').trim();
+  let dropMasked = null;
+  if (raw === '1' || raw === 'true') dropMasked = 0.5;
+  else if (raw && Number.isFinite(Number(raw)) && Number(raw) > 0 && Number(raw) < 1) dropMasked = Number(raw);
+  return { redact, dropMasked };
+}
+
+// Mask every review; drop the mostly-masked ones if asked. Works on mapped reviews.
+function redactSteamReviews(reviews, tokens, { dropMasked = null } = {}) {
+  let dropped = 0;
+  const out = [];
+  for (const rv of reviews) {
+    const { text, ratio } = maskTerms(rv.review, tokens);
+    if (dropMasked != null && ratio >= dropMasked) { dropped++; continue; }
+    out.push({ ...rv, review: text });
+  }
+  return { reviews: out, dropped };
+}
+
+function mapSteamReview(rv) {
+  return {
+    review: rv.review,
+    voted_up: rv.voted_up,
+    votes_up: rv.votes_up,
+    votes_funny: rv.votes_funny,
+    timestamp_created: rv.timestamp_created,
+    author: rv.author,
+    steam_purchase: rv.steam_purchase,
+    received_for_free: rv.received_for_free
+  };
+}
+
+// GET /steam-reviews?appId=570&cursor=*[&redact=0][&dropMasked=1]
+// Review text has the game's name/developer/franchise masked as **** by default.
+app.get('/steam-reviews', rateLimit('steam-reviews', req => String(req.query.appId || '').trim()), async (req, res) => {
   try {
     setCORS(req, res);
     const appId  = String(req.query.appId || '').trim();
     const cursor = String(req.query.cursor || '*');
     if (!appId) return res.status(400).json({ error: 'Missing ?appId=' });
 
-    const params = new URLSearchParams({
-      json: '1',
-      language: 'all',
-      filter: 'all',
-      num_per_page: '100',
-      purchase_type: 'all',
-      cursor
-    });
-
-    const url = `https://store.steampowered.com/appreviews/${encodeURIComponent(appId)}?${params.toString()}`;
-    const r = await _fetch(url, {
-      method: 'GET',
-      headers: { 'user-agent': 'Mozilla/5.0 (compatible; SteamGuess/1.0)' }
-    });
+    const r = await fetchSteamReviewPage(appId, { cursor });
 
     if (!r.ok) {
       return res.status(r.status).json({ error: 'steam_upstream', status: r.status });
     }
 
-    const data = await r.json();
+    const data = r.data;
     // helpful log to see it firing
-    console.log('steam-reviews', appId, {
+    log.info('steam-reviews', {
+      appId,
       status: r.status,
       got: Array.isArray(data.reviews) ? data.reviews.length : -1,
       cursor: data.cursor
     });
 
+    let reviews = Array.isArray(data.reviews) ? data.reviews.map(mapSteamReview) : [];
+    const red = steamRedactionOptions(req.query);
+    let redaction = { applied: false, dropped: 0 };
+    if (red.redact) {
+      const tokens = await steamRedactionTokens(appId).catch(() => null);
+      if (tokens) {
+        const r2 = redactSteamReviews(reviews, tokens, red);
+        reviews = r2.reviews;
+        redaction = { applied: true, dropped: r2.dropped };
+      }
+    }
+
     res.set('Cache-Control', 'no-store');
     res.json({
       cursor: data.cursor || null,
       query_summary: data.query_summary || null,
-      reviews: Array.isArray(data.reviews) ? data.reviews.map(rv => ({
-        review: rv.review,
-        voted_up: rv.voted_up,
-        votes_up: rv.votes_up,
-        votes_funny: rv.votes_funny,
-        timestamp_created: rv.timestamp_created,
-        author: rv.author,
-        steam_purchase: rv.steam_purchase,
-        received_for_free: rv.received_for_free
-      })) : []
+      redaction,
+      reviews
     });
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
+// --- Steam review sampling ---------------------------------------------------
+// GET /steam-reviews/sample?appId=570&count=20
+//   [&language=english]        Steam language name, default "all"
+//   [&minLength=80&maxLength=600]
+//   [&votedUp=true|false]      default: both
+//   [&minVotesUp=1]
+//   [&minPlaytimeHours=2]      reviewer playtime at review time
+//   [&positiveRatio=0.5]       share of positive reviews in the sample
+//   [&redact=0][&dropMasked=1] title masking, as on /steam-reviews
+// The server walks Steam's cursor (STEAM_SAMPLE_PAGES pages of 100) once per
+// appId + language and caches the pool; each call draws a fresh sample from it.
+const STEAM_SAMPLE_PAGES = Math.max(1, Math.min(20, Number(process.env.STEAM_SAMPLE_PAGES || 5)));
+const steamReviewPoolCache = createCache({
+  name: 'steam-reviews',
+  max: Number(process.env.STEAM_REVIEWS_CACHE_MAX || 200),
+  ttlMs: Number(process.env.STEAM_REVIEWS_CACHE_TTL_MS || 6 * 60 * 60 * 1000),
+  staleMs: Number(process.env.STEAM_REVIEWS_CACHE_STALE_MS || 24 * 60 * 60 * 1000),
+  file: process.env.STEAM_REVIEWS_CACHE_FILE || ''
+});
+
+async function crawlSteamReviews(appId, language) {
+  const reviews = [];
+  const seenCursors = new Set();
+  let cursor = '*';
+  let summary = null;
+  for (let page = 0; page < STEAM_SAMPLE_PAGES; page++) {
+    const r = await fetchSteamReviewPage(appId, { cursor, language });
+    if (!r.ok) {
+      if (page === 0) throw Object.assign(new Error('steam_upstream'), { status: r.status });
+      break; // keep what we have
+    }
+    const got = Array.isArray(r.data.reviews) ? r.data.reviews : [];
+    if (page === 0) summary = r.data.query_summary || null;
+    reviews.push(...got.map(mapSteamReview)); // keep the cached pool lean
+
+    seenCursors.add(cursor);
+    cursor = r.data.cursor;
+    if (!cursor || seenCursors.has(cursor) || got.length < 100) break;
+  }
+  log.info('steam-reviews crawl', { appId, language, pages: seenCursors.size, got: reviews.length });
+  return { reviews, summary, crawledAt: Date.now() };
+}
+
+// Copy-paste detector key: letters/digits only, case-folded, first 200 chars
+function reviewFingerprint(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '').slice(0, 200);
+}
+
+function shuffleInPlace(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+function filterSteamReviews(reviews, f) {
+  const seen = new Set();
+  let duplicates = 0;
+  const out = [];
+  for (const rv of reviews) {
+    const text = String(rv.review || '').trim();
+    if (text.length < f.minLength || text.length > f.maxLength) continue;
+    if (f.votedUp !== null && Boolean(rv.voted_up) !== f.votedUp) continue;
+    if (Number(rv.votes_up || 0) < f.minVotesUp) continue;
+    const playtime = Number(rv.author?.playtime_at_review ?? rv.author?.playtime_forever ?? 0);
+    if (playtime < f.minPlaytimeMinutes) continue;
+
+    const fp = reviewFingerprint(text);
+    if (!fp || seen.has(fp)) { duplicates++; continue; }
+    seen.add(fp);
+    out.push(rv);
+  }
+  return { matched: out, duplicates };
+}
+
+// Mix of positive and negative reviews; the short side is topped up from the other
+function stratifiedSample(reviews, count, positiveRatio) {
+  const pos = shuffleInPlace(reviews.filter(r => r.voted_up));
+  const neg = shuffleInPlace(reviews.filter(r => !r.voted_up));
+  let nPos = Math.min(pos.length, Math.round(count * positiveRatio));
+  let nNeg = Math.min(neg.length, count - nPos);
+  nPos = Math.min(pos.length, count - nNeg);
+  return shuffleInPlace([...pos.slice(0, nPos), ...neg.slice(0, nNeg)]);
+}
+
+app.get('/steam-reviews/sample', rateLimit('steam-reviews', req => String(req.query.appId || '').trim()), async (req, res) => {
+  try {
+    setCORS(req, res);
+    const appId = String(req.query.appId || '').trim();
+    if (!/^\d+$/.test(appId)) return res.status(400).json({ error: 'Missing or invalid ?appId=' });
+
+    const q = req.query;
+    const numQ = (v, def, min, max) => {
+      const n = Number(v);
+      return Number.isFinite(n) && String(v ?? '').trim() !== '' ? Math.max(min, Math.min(max, n)) : def;
+    };
+    const language = /^[a-z]+$/i.test(String(q.language || '')) ? String(q.language).toLowerCase() : 'all';
+    const count = Math.round(numQ(q.count, 20, 1, 100));
+    const filters = {
+      minLength: numQ(q.minLength, 40, 0, 8000),
+      maxLength: numQ(q.maxLength, 1200, 1, 8000),
+      votedUp: q.votedUp === 'true' || q.votedUp === '1' ? true : (q.votedUp === 'false' || q.votedUp === '0' ? false : null),
+      minVotesUp: numQ(q.minVotesUp, 0, 0, 1e9),
+      minPlaytimeMinutes: numQ(q.minPlaytimeHours, 0, 0, 1e6) * 60
+    };
+    const positiveRatio = numQ(q.positiveRatio, 0.5, 0, 1);
+
+    let pool;
+    try {
+      pool = await steamReviewPoolCache.get(`${appId}:${language}`, () => crawlSteamReviews(appId, language));
+    } catch (e) {
+      if (e && e.status) return res.status(e.status).json({ error: 'steam_upstream', status: e.status });
+      throw e;
+    }
+
+    let { matched, duplicates } = filterSteamReviews(pool.value.reviews, filters);
+
+    // Mask before sampling so dropped (mostly-masked) reviews don't shrink the sample
+    const red = steamRedactionOptions(q);
+    let redaction = { applied: false, dropped: 0 };
+    if (red.redact) {
+      const tokens = await steamRedactionTokens(appId).catch(() => null);
+      if (tokens) {
+        const r2 = redactSteamReviews(matched, tokens, red);
+        matched = r2.reviews;
+        redaction = { applied: true, dropped: r2.dropped };
+      }
+    }
+
+    const sample = stratifiedSample(matched, count, positiveRatio);
+
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Cache', pool.state.toUpperCase());
+    res.json({
+      appId,
+      language,
+      requested: count,
+      count: sample.length,
+      pool: {
+        fetched: pool.value.reviews.length,
+        matched: matched.length,
+        positive: matched.filter(r => r.voted_up).length,
+        negative: matched.filter(r => !r.voted_up).length,
+        duplicates,
+        crawledAt: new Date(pool.value.crawledAt).toISOString()
+      },
+      query_summary: pool.value.summary,
+      redaction,
+      reviews: sample
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+
+// --- Steam app hints ---------------------------------------------------------
+// GET /steam-app?appId=570[&cc=us]
+// Compact, render-ready hint metadata. The app's name never appears; the short
+// description has it (and developer/franchise terms) masked as ****.
+//   { appId, type, genres, tags, categories, releaseYear, comingSoon,
+//     developers, publishers, price: { tier, final, currency } | null,
+//     metacritic, platforms, screenshots: [{ thumb, full }], shortDescription }
+// price.tier is a USD band; it's null when ?cc= prices in another currency.
+// Errors: 400 bad appId · 404 not_found (delisted/unknown) · 451 region_locked
+//         (exists elsewhere, not in ?cc=) · 502 steam_upstream
+const steamTagsCache = createCache({
+  name: 'steam-tags',
+  max: Number(process.env.STEAM_APP_CACHE_MAX || 1000),
+  ttlMs: Number(process.env.STEAM_APP_CACHE_TTL_MS || 24 * 60 * 60 * 1000),
+  negativeTtlMs: 60 * 60 * 1000,
+  isNegative: (v) => !v || !v.length
+});
+
+// User tags aren't in appdetails; scrape them from the store page (best effort)
+async function fetchSteamStoreTags(appId) {
+  const { value } = await steamTagsCache.get(appId, async () => {
+    try {
+      const r = await upstreamFetch('steam', `https://store.steampowered.com/app/${encodeURIComponent(appId)}/?l=english`, {
+        method: 'GET',
+        headers: {
+          'user-agent': 'Mozilla/5.0 (compatible; SteamGuess/1.0)',
+          // Skip the age gate for mature titles
+          'cookie': 'birthtime=0; lastagecheckage=1-0-1990; wants_mature_content=1'
+        },
+        signal: AbortSignal.timeout(PAGE_FETCH_TIMEOUT_MS)
+      });
+      if (!r.ok) return [];
+      const html = await r.text();
+      const tags = [];
+      const re = /<a[^>]+class="app_tag"[^>]*>([\s\S]*?)<\/a>/g;
+      let m;
+      while ((m = re.exec(html)) && tags.length < 20) {
+        const t = decodeHtmlEntities(m[1]).replace(/\s+/g, ' ').trim();
+        if (t && t !== '+') tags.push(t);
+      }
+      return tags;
+    } catch { return []; }
+  });
+  return value;
+}
+
+// Price in cents → coarse tier the frontend can show without giving too much away.
+// The tier bands are dollars: other storefronts' prices keep a null tier.
+function steamPriceTier(d) {
+  if (d.is_free) return { tier: 'free', final: 0, currency: null };
+  const p = d.price_overview;
+  if (!p || !Number.isFinite(Number(p.final))) return null;
+  const currency = p.currency || null;
+  if (currency !== 'USD') return { tier: null, final: Number(p.final), currency };
+  const usd = Number(p.final) / 100;
+  const tier = usd < 10 ? 'under-10' : usd < 20 ? '10-20' : usd < 40 ? '20-40' : usd < 60 ? '40-60' : '60-plus';
+  return { tier, final: Number(p.final), currency };
+}
+
+function normalizeSteamApp(appId, d) {
+  const tokens = steamTokensFromDetails(d);
+  const plain = decodeHtmlEntities(String(d.short_description || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+  const year = (String(d.release_date?.date || '').match(/\b(19|20)\d{2}\b/) || [])[0];
+  return {
+    appId,
+    type: d.type || null,
+    genres: (d.genres || []).map(g => g.description).filter(Boolean),
+    categories: (d.categories || []).map(c => c.description).filter(Boolean),
+    releaseYear: year ? Number(year) : null,
+    comingSoon: Boolean(d.release_date?.coming_soon),
+    developers: d.developers || [],
+    publishers: d.publishers || [],
+    price: steamPriceTier(d),
+    metacritic: d.metacritic?.score ?? null,
+    platforms: Object.keys(d.platforms || {}).filter(k => d.platforms[k]),
+    screenshots: (d.screenshots || []).slice(0, 10).map(s => ({ thumb: s.path_thumbnail, full: s.path_full })),
+    shortDescription: stripMaskedTail(maskTerms(plain, tokens).text)
+  };
+}
+
+app.get('/steam-app', rateLimit('steam-app', req => String(req.query.appId || '').trim()), async (req, res) => {
+  try {
+    setCORS(req, res);
+    const appId = String(req.query.appId || '').trim();
+    if (!/^\d+$/.test(appId)) return res.status(400).json({ error: 'Missing or invalid ?appId=' });
+    const cc = /^[a-z]{2}$/i.test(String(req.query.cc || '')) ? String(req.query.cc).toLowerCase() : 'us';
+
+    let details;
+    try {
+      details = await fetchSteamAppDetails(appId, { cc });
+    } catch (e) {
+      return res.status(502).json({ error: 'steam_upstream', status: e && e.status || null });
+    }
+
+    if (!details.ok) {
+      // Visible from another storefront → region-locked for this one
+      const probeCc = cc === 'us' ? 'gb' : 'us';
+      const probe = await fetchSteamAppDetails(appId, { cc: probeCc }).catch(() => null);
+      res.set('Cache-Control', 'public, max-age=300');
+      if (probe && probe.ok) return res.status(451).json({ error: 'region_locked', appId, cc, availableIn: probeCc });
+      return res.status(404).json({ error: 'not_found', appId, reason: 'delisted_or_unknown' });
+    }
+
+    const view = normalizeSteamApp(appId, details.data);
+    view.tags = await fetchSteamStoreTags(appId);
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    return res.json(view);
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
 
 /* --------------------------------- Start -------------------------------- */
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log('Relay listening on', PORT));
+if (require.main === module) {
+  const server = app.listen(PORT, () => log.info('Relay listening', { port: Number(PORT) }));
+  attachTikTokWs(server);
+
+  // The one shutdown path (Render sends SIGTERM): save cache snapshots, then exit
+  for (const sig of ['SIGTERM', 'SIGINT']) {
+    process.once(sig, () => {
+      log.info('Shutting down', { signal: sig });
+      flushCaches();
+      process.exit(0);
+    });
+  }
+}
+
+// Exposed for the test suite (npm test); requiring the module doesn't listen
+module.exports = {
+  app,
+  attachTikTokWs,
+  setTikTokUpstream,
+  flushCaches,
+  // byline extraction
+  extractYouTubeMainByline,
+  extractTwitchAboutByline,
+  extractKickAboutByline,
+  extractGenericByline,
+  extractBylineFor,
+  bylineFromPage,
+  displayNameFromPage,
+  // cleanup + redaction helpers
+  unwrapJina,
+  dedupeHead,
+  dedupeSentences,
+  stripMaskedTail,
+  clamp200,
+  redactBylineSystem,
+  redactionTokensFromUsername,
+  usernameFromAnyUrl,
+  // title masking (Steam)
+  redactionTokensFromTitle,
+  maskTerms,
+  // chat moderation
+  containsBlockedWord,
+  maskChatLinks,
+  moderationPresetFor,
+  createChatFilter,
+  // logging
+  redactSecrets
+};
@@ -0,0 +1,101 @@
+'use strict';
+// /admin against the local TikTok stand-in: inspect a room, switch its
+// region and reconnect it under a connected client, then kill it.
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.TIKTOK_RETRY_DELAYS_MS = '30,60';
+process.env.ROOM_IDLE_GRACE_MS = '20';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { app, setTikTokUpstream } = require('../server');
+const { startFakeTikTok } = require('./support/fake-tiktok');
+const { openSse, label, count } = require('./support/sse-client');
+
+let fake;
+let relay;
+let restore;
+let base;
+
+before(async () => {
+  fake = await startFakeTikTok();
+  restore = setTikTokUpstream({ fetch: fake.fetch, createConnector: fake.createConnector });
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  restore();
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+  await fake.close();
+});
+
+const admin = (path, init = {}) => fetch(base + path, {
+  ...init,
+  headers: { Authorization: 'Bearer test-admin-token', 'Content-Type': 'application/json', ...(init.headers || {}) }
+});
+
+test('admin: requires the bearer token', async () => {
+  assert.equal((await fetch(base + '/admin/rooms')).status, 401);
+  assert.equal((await admin('/admin/rooms', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  assert.equal((await admin('/admin/rooms')).status, 200);
+  assert.equal((await admin('/admin/rooms/nobody')).status, 404);
+});
+
+test('admin: inspect, switch region, reconnect and kill a live room', async () => {
+  fake.profile('adminlive', { roomId: '8001', live: true });
+  fake.script('8001', [{ event: 'chat', data: { comment: 'hi', uniqueId: 'v' } }]);
+
+  const sse = openSse(relay.address().port, 'user=adminlive');
+  try {
+    await sse.until(count('chat', 1));
+
+    // Listing: upstream state plus who is attached
+    const list = await (await admin('/admin/rooms')).json();
+    const view = list.rooms.find(r => r.user === 'adminlive');
+    assert.equal(view.roomId, '8001');
+    assert.equal(view.region, 'US');
+    assert.equal(view.state, 'connected');
+    assert.ok(Date.parse(view.connectedSince));
+    assert.ok(Date.parse(view.lastEventAt));
+    assert.deepEqual(view.attempts, { current: 0, total: 1 });
+    assert.equal(view.clients.length, 1);
+    assert.equal(view.clients[0].transport, 'sse');
+    assert.equal(view.clients[0].ip, '127.0.0.1');
+
+    // Last N debug events, oldest first
+    const one = await (await admin('/admin/rooms/adminlive?debug=2')).json();
+    assert.deepEqual(one.room.debug.map(d => d.stage), ['room-scrape', 'region']);
+
+    // Region switch: same stream, new connect pinned to EU
+    assert.equal((await admin('/admin/rooms/adminlive/region', { method: 'POST', body: JSON.stringify({ region: 'XX' }) })).status, 400);
+    const sw = await admin('/admin/rooms/adminlive/region', { method: 'POST', body: JSON.stringify({ region: 'eu' }) });
+    assert.deepEqual(await sw.json(), { ok: true, user: 'adminlive', region: 'EU' });
+    let evs = await sse.until(count('open', 2));
+    const attempt = evs.filter(e => label(e) === 'debug:attempt').pop();
+    assert.equal(attempt.data.trigger, 'admin:region');
+    assert.equal(evs.filter(e => label(e) === 'status:connected').pop().data.region, 'EU');
+    assert.match(fake.connections.filter(c => c.roomId === '8001').pop().cookie, /tt-web-region=EU/);
+
+    // Forced reconnect keeps the pinned region
+    assert.equal((await admin('/admin/rooms/adminlive/reconnect', { method: 'POST' })).status, 200);
+    evs = await sse.until(count('open', 3));
+    assert.equal(evs.filter(e => label(e) === 'debug:attempt').pop().data.trigger, 'admin');
+    assert.equal(evs.filter(e => label(e) === 'status:connected').pop().data.region, 'EU');
+
+    // Kill: client gets a final status and a long retry, and the stream ends
+    const kill = await (await admin('/admin/rooms/adminlive', { method: 'DELETE' })).json();
+    assert.deepEqual(kill, { ok: true, user: 'adminlive', closedClients: 1 });
+    await sse.ended;
+    assert.deepEqual(sse.events[sse.events.length - 1].data, { state: 'closed', user: 'adminlive', reason: 'admin' });
+    assert.equal(sse.retry, 24 * 60 * 60 * 1000);
+    assert.equal((await admin('/admin/rooms/adminlive')).status, 404);
+  } finally {
+    sse.close();
+  }
+});
@@ -0,0 +1,79 @@
+'use strict';
+// /byline over a stubbed upstream: one cached fetch per page, whatever the
+// caller's ?terms=, with the terms still masked per request, and the cache
+// snapshot written when the server flushes it.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CACHE_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'relay-byline-')), 'byline-cache.json');
+process.env.BYLINE_CACHE_FILE = CACHE_FILE;
+process.env.BYLINE_FETCHERS = 'jina';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+// The relay captures fetch at require time: answer Jina from a fixture, count the calls
+const realFetch = globalThis.fetch;
+const jinaCalls = [];
+const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'byline', 'twitch-about.md'), 'utf8');
+globalThis.fetch = (url, init) => {
+  if (!String(url).startsWith('https://r.jina.ai/')) return realFetch(url, init);
+  jinaCalls.push(String(url));
+  return Promise.resolve(new Response(page, { status: 200, headers: { 'Content-Type': 'text/plain' } }));
+};
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const signalListeners = () => process.listenerCount('SIGTERM') + process.listenerCount('SIGINT');
+const listenersBefore = signalListeners();
+const { app, flushCaches } = require('../server');
+
+let relay;
+let base;
+
+before(async () => {
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  globalThis.fetch = realFetch;
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+});
+
+const byline = (query) => realFetch(`${base}/byline?u=${encodeURIComponent('https://www.twitch.tv/lirik/about')}&format=json${query}`);
+
+test('byline: one upstream fetch per page; terms are masked per request', async () => {
+  const plain = await byline('');
+  assert.equal(plain.headers.get('x-cache'), 'MISS');
+  const plainBody = await plain.json();
+  assert.match(plainBody.byline, /Grab a chair, chat is comfy\./);
+
+  const chair = await byline('&terms=chair');
+  assert.equal(chair.headers.get('x-cache'), 'HIT');
+  const chairBody = await chair.json();
+  assert.match(chairBody.byline, /Grab a \*\*\*\*, chat is comfy\./);
+  assert.deepEqual(chairBody.terms, ['chair']);
+  assert.ok(chairBody.masked.some(m => m.source === 'term' && m.token === 'chair'));
+
+  const comfy = await (await byline('&terms=comfy,Variety')).json();
+  assert.match(comfy.byline, /^\*\*\*\* streamer .*chat is \*\*\*\*\./);
+  assert.ok(!comfy.masked.some(m => m.token === 'chair'));
+
+  // The cached entry wasn't touched by the terms above
+  assert.deepEqual((await (await byline('')).json()).byline, plainBody.byline);
+  assert.equal(jinaCalls.length, 1);
+});
+
+test('snapshot: requiring the server leaves signals alone; flushCaches() writes the file', () => {
+  // Only the entry point's shutdown handler exits the process
+  assert.equal(signalListeners(), listenersBefore);
+  flushCaches();
+  const saved = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+  assert.equal(saved.length, 1);
+  assert.match(JSON.stringify(saved[0][1].value), /Grab a chair/);
+});
@@ -0,0 +1,183 @@
+'use strict';
+// Byline extractors against saved Jina pages, the cleanup helpers, and a
+// randomized check that redaction never lets the channel handle through.
+// New fixtures: scripts/capture-byline-fixture.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  extractYouTubeMainByline, extractTwitchAboutByline, extractGenericByline,
+  extractBylineFor, bylineFromPage, displayNameFromPage,
+  dedupeHead, dedupeSentences, stripMaskedTail, clamp200,
+  redactBylineSystem, usernameFromAnyUrl
+} = require('../server');
+const { mulberry32 } = require('./support/prng');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'byline');
+
+/* -------------------------------- Fixtures -------------------------------- */
+test('fixtures: extracted bylines match the saved expectations', async (t) => {
+  const names = fs.readdirSync(FIXTURES).filter(f => f.endsWith('.md')).map(f => f.slice(0, -3));
+  assert.ok(names.length > 0, 'no fixtures found');
+
+  for (const name of names) {
+    await t.test(name, () => {
+      const md = fs.readFileSync(path.join(FIXTURES, name + '.md'), 'utf8');
+      const { url, byline } = JSON.parse(fs.readFileSync(path.join(FIXTURES, name + '.json'), 'utf8'));
+      // What /byline serves: platform extractor + display-name masking
+      assert.equal(bylineFromPage({ body: md, format: 'markdown', usedUrl: url }), byline);
+    });
+  }
+});
+
+test('fixtures: the handle never survives extraction', () => {
+  for (const f of fs.readdirSync(FIXTURES).filter(f => f.endsWith('.json'))) {
+    const { url, byline } = JSON.parse(fs.readFileSync(path.join(FIXTURES, f), 'utf8'));
+    const handle = usernameFromAnyUrl(url).toLowerCase();
+    if (handle && /youtube|twitch|kick/.test(url)) assert.ok(!byline.toLowerCase().includes(handle), `${f} leaks ${handle}`);
+  }
+});
+
+/* ------------------------------- Extractors ------------------------------- */
+test('YouTube: description block stops at Links and drops meta lines', () => {
+  const md = [
+    'Markdown Content:',
+    'Description',
+    'Speedruns and chill commentary.',
+    '1.2K subscribers',
+    'Links',
+    'Speedruns and chill commentary is not repeated here.'
+  ].join('\n');
+  assert.equal(extractYouTubeMainByline(md, 'https://www.youtube.com/@runner/about'), 'Speedruns and chill commentary.');
+});
+
+test('YouTube: no Description heading → empty (route answers 204)', () => {
+  assert.equal(extractYouTubeMainByline('Markdown Content:\nHome\nVideos', 'https://www.youtube.com/@x/about'), '');
+});
+
+test('Twitch: first line after the followers count, panels cut off', () => {
+  const md = '### About foo\n\n12K followers\n\nChill speedruns.\n\n[![Panel](https://x/y.png)](https://x)';
+  assert.equal(extractTwitchAboutByline(md, 'https://www.twitch.tv/foo/about'), 'Chill speedruns.');
+});
+
+test('generic: cookie banners lose to the bio-like paragraph', () => {
+  const md = 'We use cookies for analytics and marketing partners.\n\nI stream cozy games every week on my channel.';
+  assert.equal(extractGenericByline(md), 'I stream cozy games every week on my channel.');
+});
+
+test('display name comes from the page title, minus the platform', () => {
+  assert.equal(displayNameFromPage({ format: 'markdown', body: 'Title: Maximilian Dood - YouTube\n' }), 'Maximilian Dood');
+  assert.equal(displayNameFromPage({ format: 'markdown', body: 'Title: Trainwreckstv | Kick\n' }), 'Trainwreckstv');
+  assert.equal(displayNameFromPage({ format: 'text', body: '', title: 'Twitch' }), '');
+});
+
+/* ------------------------------ Cleanup helpers --------------------------- */
+test('dedupeHead collapses an immediately repeated opening', () => {
+  const head = 'Welcome to the channel of fun videos ';
+  assert.equal(dedupeHead(head + head + 'and more'), (head + 'and more').trim());
+  assert.equal(dedupeHead('short text'), 'short text');
+});
+
+test('dedupeSentences drops back-to-back repeats only', () => {
+  assert.equal(dedupeSentences('Hi! Hi! I stream. Hi!'), 'Hi! I stream. Hi!');
+  assert.equal(dedupeSentences('no punctuation here'), 'no punctuation here');
+});
+
+test('stripMaskedTail trims masked tokens and debris at the end', () => {
+  assert.equal(stripMaskedTail('Follow me on **** ;)'), 'Follow me on');
+  assert.equal(stripMaskedTail('Business: ****.'), '');
+  assert.equal(stripMaskedTail('Merch is out now! Business inquiries: ****'), 'Merch is out now!');
+  assert.equal(stripMaskedTail('**** plays games'), '**** plays games');
+});
+
+test('clamp200 cuts on a word boundary and marks the cut', () => {
+  const long = 'word '.repeat(60);
+  const out = clamp200(long);
+  assert.ok(out.length <= 201);
+  assert.ok(out.endsWith('word…'));
+  assert.equal(clamp200('  short  '), 'short');
+});
+
+/* -------------------------- Redaction properties -------------------------- */
+const WORDS = ['stream', 'games', 'daily', 'chill', 'music', 'the', 'best', 'with', 'friends', 'speedrun', 'cozy', 'art'];
+
+function randomHandle(rnd) {
+  const alnum = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  const len = 3 + Math.floor(rnd() * 13);
+  let h = '';
+  for (let i = 0; i < len; i++) h += alnum[Math.floor(rnd() * alnum.length)];
+  return h;
+}
+
+// The handle dropped into bio text the ways people actually write it
+function handleVariants(h) {
+  const cap = h[0].toUpperCase() + h.slice(1);
+  return [h, h.toUpperCase(), cap, '@' + h, `(${h})`, `${h}'s`, `${h}TV`, `the${h}`, `${h}.`, `#${h}`];
+}
+
+function randomBio(rnd, variant) {
+  const words = [];
+  const n = 4 + Math.floor(rnd() * 10);
+  for (let i = 0; i < n; i++) words.push(WORDS[Math.floor(rnd() * WORDS.length)]);
+  words.splice(Math.floor(rnd() * (words.length + 1)), 0, variant);
+  return words.join(' ') + '.';
+}
+
+const PLATFORM_URLS = [
+  (h) => `https://www.youtube.com/@${h}/about`,
+  (h) => `https://www.twitch.tv/${h}/about`,
+  (h) => `https://kick.com/${h}/about`
+];
+
+test('redaction never leaks the handle (randomized)', () => {
+  const seed = Number(process.env.BYLINE_PROP_SEED) || 20240611;
+  const rnd = mulberry32(seed);
+
+  for (let i = 0; i < 300; i++) {
+    const handle = randomHandle(rnd);
+    const squashed = handle.replace(/[^a-z0-9]/g, '');
+    for (const variant of handleVariants(handle)) {
+      const bio = randomBio(rnd, variant);
+      for (const urlOf of PLATFORM_URLS) {
+        const url = urlOf(handle);
+        const out = redactBylineSystem(bio, url).toLowerCase();
+        const where = `seed=${seed} handle=${handle} url=${url} bio=${JSON.stringify(bio)} → ${JSON.stringify(out)}`;
+        assert.ok(!out.includes(handle), where);
+        assert.ok(!out.includes(squashed), where);
+      }
+    }
+  }
+});
+
+test('redaction never leaks the handle through the full extractors (randomized)', () => {
+  const seed = Number(process.env.BYLINE_PROP_SEED) || 7;
+  const rnd = mulberry32(seed);
+  const pages = {
+    youtube: (bio) => `Markdown Content:\nDescription\n${bio}\nLinks\n`,
+    twitch: (bio) => `### About\n\n10K followers\n\n${bio}\n`,
+    kick: (bio) => `### About\n\n${bio}\n\n### Chat Rules\n`
+  };
+
+  for (let i = 0; i < 100; i++) {
+    const handle = randomHandle(rnd);
+    for (const variant of handleVariants(handle)) {
+      const bio = randomBio(rnd, variant);
+      for (const [platform, page] of Object.entries(pages)) {
+        const url = PLATFORM_URLS.find(f => f('x').includes(platform))(handle);
+        const out = extractBylineFor(url, page(bio)).toLowerCase();
+        assert.ok(!out.includes(handle), `seed=${seed} ${platform} handle=${handle} → ${JSON.stringify(out)}`);
+      }
+    }
+  }
+});
+
+test('caller terms and the display name are masked as whole words', () => {
+  const masked = [];
+  const page = { format: 'text', usedUrl: 'https://www.twitch.tv/zz_runner/about', title: 'Jane Runner - Twitch', body: 'Jane runs games with Bob Smith, a Janeway fan.' };
+  const out = bylineFromPage(page, { terms: ['Bob Smith'], masked });
+  assert.equal(out, '**** runs games with ****, a Janeway fan.');
+  assert.deepEqual(masked.map(m => m.source).sort(), ['display-name', 'term']);
+});
@@ -0,0 +1,156 @@
+'use strict';
+// Chat moderation: blocked words (look-alikes and stretched letters hit, but
+// ordinary words that merely squeeze to the same letters don't), link/handle
+// masking, user lists, flood and duplicate filters, preset selection, and the
+// periodic drop report, unit by unit and then over /tiktok-sse.
+
+// Read at require time
+process.env.CHAT_BLOCKED_WORDS = 'ass, butt, fuck, go away now';
+process.env.CHAT_BLOCKED_USERS = 'spammer, @Troll';
+process.env.CHAT_ALLOWED_USERS = 'trusted';
+process.env.CHAT_MODERATION_ROOMS = JSON.stringify({ modroom: 'strict' });
+process.env.MODERATION_REPORT_MS = '100';
+process.env.TIKTOK_RETRY_DELAYS_MS = '30,60';
+process.env.ROOM_IDLE_GRACE_MS = '20';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { app, setTikTokUpstream, containsBlockedWord, maskChatLinks, moderationPresetFor, createChatFilter } = require('../server');
+const { startFakeTikTok } = require('./support/fake-tiktok');
+const { openSse: openSseAt, label, count } = require('./support/sse-client');
+
+let fake;
+let relay;
+let restore;
+
+before(async () => {
+  fake = await startFakeTikTok();
+  restore = setTikTokUpstream({ fetch: fake.fetch, createConnector: fake.createConnector });
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+});
+
+after(async () => {
+  restore();
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+  await fake.close();
+});
+
+const openSse = (query) => openSseAt(relay.address().port, query);
+const chat = (uniqueId, comment) => ({ comment, uniqueId, nickname: uniqueId });
+// Comments that made it through, in order
+const run = (filter, msgs, opts) => msgs.map(m => filter.apply(m, opts)).filter(Boolean).map(m => m.comment);
+
+test('blocked words: doubled letters are kept, so "as" and "but" pass', () => {
+  for (const ok of ['as good as it gets', 'but why', 'pass the salt', 'assess this', 'a bit of a bust']) {
+    assert.equal(containsBlockedWord(ok), false, ok);
+  }
+});
+
+test('blocked words: folded, stretched, spaced-out and plural forms still hit', () => {
+  for (const bad of ['ass', 'what an @ss', 'asssss', 'BUTTT', 'butts', 'fuuuck', 'f u c k', 'fucks', 'pls go  away now!']) {
+    assert.equal(containsBlockedWord(bad), true, bad);
+  }
+  assert.equal(containsBlockedWord('go away later'), false);
+});
+
+test('links: URLs, emails and bare domains are masked; @handles only when asked', () => {
+  assert.equal(maskChatLinks('check https://x.com/foo now'), 'check **** now');
+  assert.equal(maskChatLinks('mail me a@b.com ok'), 'mail me **** ok');
+  assert.equal(maskChatLinks('go to spam.gg/free'), 'go to ****');
+  assert.equal(maskChatLinks('@someone hi'), '@someone hi');
+  assert.equal(maskChatLinks('@someone hi', { handles: true }), '**** hi');
+
+  const light = createChatFilter('light');
+  assert.deepEqual(run(light, [chat('a', 'see www.site.io'), chat('a', 'www.site.io'), chat('b', '@pal nice')]), ['see ****', '@pal nice']);
+  const strict = createChatFilter('strict');
+  assert.deepEqual(run(strict, [chat('a', '@pal nice'), chat('b', '@pal')]), ['**** nice']);
+  assert.deepEqual(strict.takeStats().dropped, { 'link-only': 1 });
+});
+
+test('user lists: blocked users always drop, allowed users skip every filter', () => {
+  const f = createChatFilter('standard');
+  const msgs = [
+    chat('spammer', 'hello'), chat('Troll', 'hello'),
+    ...Array.from({ length: 7 }, () => chat('trusted', 'what an ass https://x.com'))
+  ];
+  assert.deepEqual(run(f, msgs), Array(7).fill('what an ass https://x.com'));
+  assert.deepEqual(f.takeStats(), { passed: 7, dropped: { 'blocked-user': 2 } });
+});
+
+test('flood: more than the preset allows per window is dropped, per user', () => {
+  const f = createChatFilter('standard'); // 5 per 10s
+  const msgs = Array.from({ length: 7 }, (_, i) => chat('fast', `message number ${i}`));
+  assert.deepEqual(run(f, msgs), msgs.slice(0, 5).map(m => m.comment));
+  assert.deepEqual(run(f, [chat('calm', 'message number 6')]), ['message number 6']);
+  assert.deepEqual(f.takeStats(), { passed: 6, dropped: { flood: 2 } });
+
+  // Replays don't count toward the throttle
+  const replay = createChatFilter('standard');
+  assert.equal(run(replay, msgs, { live: false }).length, 7);
+});
+
+test('duplicates: same text within the window is dropped, per user or room-wide by preset', () => {
+  const light = createChatFilter('light'); // per user
+  assert.deepEqual(run(light, [chat('a', 'GG'), chat('a', 'gg!!'), chat('b', 'gg'), chat('a', 'gg wp')]), ['GG', 'gg', 'gg wp']);
+  assert.deepEqual(light.takeStats().dropped, { duplicate: 1 });
+
+  const strict = createChatFilter('strict'); // anyone
+  assert.deepEqual(run(strict, [chat('a', 'first'), chat('b', 'First!'), chat('c', 'second')]), ['first', 'second']);
+});
+
+test('presets: ?moderation= wins, then the room setting, then the default; unknown means off', () => {
+  assert.equal(moderationPresetFor('modroom'), 'strict');
+  assert.equal(moderationPresetFor('otherroom'), 'off');
+  assert.equal(moderationPresetFor('otherroom', 'Light'), 'light');
+  assert.equal(moderationPresetFor('modroom', 'off'), 'off');
+  assert.equal(moderationPresetFor('modroom', 'bogus'), 'off');
+});
+
+test('sse: each client gets its preset\'s verdicts, and drops are reported in a debug event', async () => {
+  fake.profile('modroom', { roomId: '7301', live: true });
+  fake.script('7301', [
+    { wait: 300 },
+    { event: 'chat', data: { comment: 'hello', uniqueId: 'a' } },
+    { event: 'chat', data: { comment: 'hello', uniqueId: 'b' } },
+    { event: 'chat', data: { comment: 'go away now', uniqueId: 'c' } },
+    { event: 'chat', data: { comment: '@someone hi', uniqueId: 'd' } },
+    { event: 'chat', data: { comment: 'last', uniqueId: 'e' } }
+  ]);
+
+  const room = openSse('user=modroom');
+  const off = openSse('user=modroom&moderation=off');
+  const bogus = openSse('user=modroom&moderation=bogus');
+  try {
+    // Reports may split the run; they add up to what was dropped
+    const reports = (evs) => evs.filter(e => label(e) === 'debug:moderation').map(e => e.data);
+    const droppedSoFar = (evs) => reports(evs).reduce((n, r) => n + Object.values(r.dropped).reduce((a, b) => a + b, 0), 0);
+    const [roomEvs, offEvs, bogusEvs] = await Promise.all([
+      room.until(evs => evs.some(e => e.event === 'chat' && e.data.comment === 'last') && droppedSoFar(evs) === 2, 6000),
+      off.until(count('chat', 5), 6000),
+      bogus.until(count('chat', 5), 6000)
+    ]);
+    const comments = (evs) => evs.filter(e => e.event === 'chat').map(e => e.data.comment);
+
+    assert.deepEqual(comments(roomEvs), ['hello', '**** hi', 'last']);
+    const all = ['hello', 'hello', 'go away now', '@someone hi', 'last'];
+    assert.deepEqual(comments(offEvs), all);
+    assert.deepEqual(comments(bogusEvs), all);
+
+    const sent = reports(roomEvs);
+    assert.ok(sent.every(r => r.preset === 'strict' && r.user === 'modroom'));
+    const dropped = {};
+    for (const r of sent) for (const [why, n] of Object.entries(r.dropped)) dropped[why] = (dropped[why] || 0) + n;
+    assert.deepEqual(dropped, { duplicate: 1, 'blocked-word': 1 });
+    // Clients on "off" don't have a filter to report on
+    assert.ok(!sent.some(r => r.preset === 'off'));
+  } finally {
+    room.close();
+    off.close();
+    bogus.close();
+  }
+});
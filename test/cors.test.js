@@ -0,0 +1,65 @@
+'use strict';
+// CORS policies from the environment: exact, wildcard and strict origins,
+// preflight, and the origin check on /tiktok-ws upgrades.
+
+// Read at require time
+process.env.CORS_ORIGINS = 'https://keyguessing.com,https://*.keyguessing.com,http://localhost:*';
+process.env.CORS_CONFIG = JSON.stringify({ routes: { '/steam-app': { strict: true, methods: ['GET'] }, '/tiktok-ws': { strict: true } } });
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const { app, attachTikTokWs } = require('../server');
+
+let relay;
+let wss;
+let base;
+
+before(async () => {
+  relay = app.listen(0, '127.0.0.1');
+  wss = attachTikTokWs(relay);
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  wss.close();
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+});
+
+test('cors: exact and wildcard origins are echoed; others get "*" unless the route is strict', async () => {
+  const origin = async (o, p = '/') => (await fetch(base + p, { headers: { Origin: o } })).headers.get('access-control-allow-origin');
+  assert.equal(await origin('https://keyguessing.com'), 'https://keyguessing.com');
+  assert.equal(await origin('https://beta.keyguessing.com'), 'https://beta.keyguessing.com');
+  assert.equal(await origin('http://localhost:5173'), 'http://localhost:5173');
+  assert.equal(await origin('https://keyguessing.com.evil.io'), '*');
+
+  const denied = await fetch(`${base}/steam-app?appId=x`, { headers: { Origin: 'https://evil.io' } });
+  assert.equal(denied.status, 403);
+  assert.deepEqual(await denied.json(), { error: 'origin_not_allowed' });
+  assert.equal(denied.headers.get('access-control-allow-origin'), null);
+  // Non-browser callers (no Origin) are never refused
+  assert.equal((await fetch(`${base}/steam-app?appId=x`)).status, 400);
+});
+
+test('cors: preflight answers with the route\'s methods and max-age, or 403 when strict', async () => {
+  const preflight = (origin) => fetch(`${base}/steam-app`, {
+    method: 'OPTIONS',
+    headers: { Origin: origin, 'Access-Control-Request-Method': 'GET' }
+  });
+  const ok = await preflight('https://beta.keyguessing.com');
+  assert.equal(ok.status, 204);
+  assert.equal(ok.headers.get('access-control-allow-origin'), 'https://beta.keyguessing.com');
+  assert.equal(ok.headers.get('access-control-allow-methods'), 'GET, OPTIONS');
+  assert.ok(Number(ok.headers.get('access-control-max-age')) > 0);
+  assert.equal((await preflight('https://evil.io')).status, 403);
+
+  // Upgrades aren't preflighted: /tiktok-ws checks the origin itself
+  const ws = new WebSocket(`${base.replace(/^http/, 'ws')}/tiktok-ws`, { origin: 'https://evil.io' });
+  const status = await new Promise(resolve => ws.once('unexpected-response', (_req, res) => resolve(res.statusCode)));
+  assert.equal(status, 403);
+});
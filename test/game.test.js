@@ -0,0 +1,144 @@
+'use strict';
+// Game sessions over a room fed by the local TikTok stand-in: correct and
+// close guesses (close capped by answer length), host-only reveal and delete,
+// and the answer staying server-side until the reveal.
+
+process.env.TIKTOK_RETRY_DELAYS_MS = '30,60';
+process.env.ROOM_IDLE_GRACE_MS = '20';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { app, setTikTokUpstream } = require('../server');
+const { startFakeTikTok } = require('./support/fake-tiktok');
+const { openSse: openSseAt, count } = require('./support/sse-client');
+
+let fake;
+let relay;
+let restore;
+let base;
+
+before(async () => {
+  fake = await startFakeTikTok();
+  restore = setTikTokUpstream({ fetch: fake.fetch, createConnector: fake.createConnector });
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  restore();
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+  await fake.close();
+});
+
+const openSse = (query) => openSseAt(relay.address().port, query);
+const createSession = async (body) => {
+  const res = await fetch(`${base}/game/sessions`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  assert.equal(res.status, 201);
+  return res.json();
+};
+// Sessions keep their room connected until the host deletes them
+const endSession = ({ session, hostToken }) =>
+  fetch(`${base}/game/sessions/${session.id}`, { method: 'DELETE', headers: { 'X-Host-Token': hostToken } });
+const say = (uniqueId, comment) => ({ event: 'chat', data: { comment, uniqueId, nickname: uniqueId.toUpperCase() } });
+
+test('guesses: correct and close verdicts, close capped at a third of the answer', async () => {
+  fake.profile('gameroom', { roomId: '7501', live: true });
+  fake.script('7501', [
+    { wait: 400 },
+    say('u1', 'bat'),                  // cat: 1 edit, its cap is 1 → close
+    say('u2', 'bot'),                  // cat: 2 edits, over its cap
+    say('u3', 'hi'),
+    say('u4', 'i think its minecrf'),  // minecraft: 2 edits, its cap is 2 → close
+    say('u4', 'i think its minecrf'),  // same guess again: reported once
+    say('u5', 'Mine-Craft!'),
+    say('u6', 'CAT'),
+    say('u7', 'mc'),                   // alias
+    say('u5', 'minecraft')             // already won
+  ]);
+
+  const sse = openSse('user=gameroom');
+  const sessions = [];
+  try {
+    await sse.until(count('open', 1));
+    const cat = await createSession({ user: 'gameroom', answer: 'Cat' });
+    const mine = await createSession({ user: '@GameRoom', answer: 'Minecraft', aliases: ['MC'], maxWinners: 3 });
+    sessions.push(cat, mine);
+    assert.equal(mine.session.user, 'gameroom');
+    assert.deepEqual([cat.session.close, mine.session.fuzzy, mine.session.state], [2, 0, 'open']);
+
+    const evs = await sse.until(count('guess-correct', 3), 6000);
+    const verdicts = (id) => evs.filter(e => e.event.startsWith('guess-') && e.data.sessionId === id)
+      .map(e => [e.event, e.data.uniqueId, e.data.distance ?? e.data.rank]);
+    assert.deepEqual(verdicts(cat.session.id), [['guess-close', 'u1', 1], ['guess-correct', 'u6', 1]]);
+    assert.deepEqual(verdicts(mine.session.id), [['guess-close', 'u4', 2], ['guess-correct', 'u5', 1], ['guess-correct', 'u7', 2]]);
+    const winner = evs.find(e => e.event === 'guess-correct' && e.data.uniqueId === 'u6').data;
+    assert.equal(winner.nickname, 'U6');
+    assert.ok(Date.parse(new Date(winner.at).toISOString()));
+
+    // Nothing but the players' own chat carries an answer before the reveal
+    const wire = JSON.stringify(evs.filter(e => e.event !== 'chat'));
+    assert.doesNotMatch(wire, /minecraft|\bcat\b/i);
+    const pub = await (await fetch(`${base}/game/sessions/${cat.session.id}`)).json();
+    assert.equal(pub.session.answer, undefined);
+    assert.deepEqual(pub.session.winners.map(w => w.uniqueId), ['u6']);
+    assert.equal(pub.session.state, 'won');
+  } finally {
+    await Promise.all(sessions.map(endSession));
+    sse.close();
+  }
+});
+
+test('host: reveal and delete need the host token, as Bearer or X-Host-Token', async () => {
+  fake.profile('hostroom', { roomId: '7502', live: true });
+  const sse = openSse('user=hostroom');
+  let created;
+  try {
+    await sse.until(count('open', 1));
+    created = await createSession({ user: 'hostroom', answer: 'Portal 2' });
+    const { session, hostToken } = created;
+    const url = `${base}/game/sessions/${session.id}`;
+
+    assert.equal((await fetch(url + '/reveal', { method: 'POST' })).status, 403);
+    assert.equal((await fetch(url + '/reveal', { method: 'POST', headers: { 'X-Host-Token': 'nope' } })).status, 403);
+    assert.equal((await (await fetch(url)).json()).session.answer, undefined);
+    assert.equal((await (await fetch(url, { headers: { Authorization: `Bearer ${hostToken}` } })).json()).session.answer, 'Portal 2');
+
+    const revealed = await fetch(url + '/reveal', { method: 'POST', headers: { 'X-Host-Token': hostToken } });
+    assert.equal(revealed.status, 200);
+    assert.equal((await revealed.json()).session.state, 'revealed');
+    const evs = await sse.until(count('guess-reveal', 1));
+    assert.deepEqual(evs.find(e => e.event === 'guess-reveal').data, { sessionId: session.id, answer: 'Portal 2', winners: [] });
+    // Public once revealed
+    assert.equal((await (await fetch(url)).json()).session.answer, 'Portal 2');
+
+    assert.equal((await fetch(url, { method: 'DELETE' })).status, 403);
+    assert.equal((await fetch(url, { method: 'DELETE', headers: { Authorization: `Bearer ${hostToken}` } })).status, 204);
+    assert.equal((await fetch(url)).status, 404);
+  } finally {
+    if (created) await endSession(created);
+    sse.close();
+  }
+});
+
+test('host: a cross-origin host may send X-Host-Token (preflight)', async () => {
+  const res = await fetch(`${base}/game/sessions/abc/reveal`, {
+    method: 'OPTIONS',
+    headers: { Origin: 'https://keyguessing.com', 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'x-host-token' }
+  });
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get('access-control-allow-origin'), 'https://keyguessing.com');
+  assert.ok(res.headers.get('access-control-allow-headers').split(', ').includes('X-Host-Token'));
+  assert.deepEqual(res.headers.get('access-control-allow-methods').split(', ').sort(), ['DELETE', 'GET', 'OPTIONS', 'POST']);
+});
+
+test('create: user and answer are validated', async () => {
+  const post = (body) => fetch(`${base}/game/sessions`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  assert.equal((await post({ user: 'not a user!', answer: 'x' })).status, 400);
+  assert.equal((await post({ user: 'someone', answer: '?!' })).status, 400);
+  assert.equal((await post({ user: 'someone', answer: 'x'.repeat(201) })).status, 400);
+});
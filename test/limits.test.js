@@ -0,0 +1,134 @@
+'use strict';
+// Token-bucket 429s with Retry-After, and the concurrent-stream cap on
+// /tiktok-sse and /tiktok-ws giving slots back when clients go. Each test
+// speaks from its own X-Forwarded-For address so their buckets don't mix.
+
+// Read at require time
+process.env.RATE_LIMITS = JSON.stringify({ 'steam-app': { ip: { capacity: 2, perMin: 1 } }, 'tiktok-sse': { ip: { capacity: 20, perMin: 1 } } });
+process.env.STREAMS_MAX_PER_IP = '2';
+process.env.TIKTOK_RETRY_DELAYS_MS = '30,60';
+process.env.ROOM_IDLE_GRACE_MS = '20';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+const net = require('net');
+const WebSocket = require('ws');
+
+const { app, attachTikTokWs, setTikTokUpstream } = require('../server');
+const { startFakeTikTok } = require('./support/fake-tiktok');
+const { openSse: openSseAt, label, count } = require('./support/sse-client');
+
+let fake;
+let relay;
+let wss;
+let restore;
+let base;
+
+before(async () => {
+  fake = await startFakeTikTok();
+  restore = setTikTokUpstream({ fetch: fake.fetch, createConnector: fake.createConnector });
+  relay = app.listen(0, '127.0.0.1');
+  wss = attachTikTokWs(relay);
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  restore();
+  for (const ws of wss.clients) ws.terminate();
+  wss.close();
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+  await fake.close();
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const from = (ip, headers = {}) => ({ 'X-Forwarded-For': ip, ...headers });
+
+test('rate limit: an empty bucket answers 429 with Retry-After', async () => {
+  const hit = () => fetch(`${base}/steam-app?appId=x`, { headers: from('10.8.0.2') });
+  assert.equal((await hit()).status, 400);
+  assert.equal((await hit()).status, 400);
+  const limited = await hit();
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '60'); // one token a minute
+  const body = await limited.json();
+  assert.equal(body.error, 'rate_limited');
+  assert.equal(body.scope, 'ip');
+  assert.ok(body.retryAfterMs > 59000 && body.retryAfterMs <= 60000);
+  // Another address has its own bucket
+  assert.equal((await fetch(`${base}/steam-app?appId=x`, { headers: from('10.8.0.3') })).status, 400);
+});
+
+test('streams: /tiktok-sse caps concurrent streams per IP and frees the slot on disconnect', async () => {
+  fake.profile('capped', { roomId: '7601', live: true });
+  const open = () => openSseAt(relay.address().port, 'user=capped', { headers: from('10.8.0.4') });
+  const a = open();
+  const b = open();
+  try {
+    await Promise.all([a.until(count('open', 1)), b.until(count('open', 1))]);
+
+    const c = open();
+    const evs = await c.until(count('status:rate-limited', 1));
+    await c.ended;
+    assert.deepEqual(evs.map(label), ['status:rate-limited']);
+    assert.equal(evs[0].data.scope, 'ip-streams');
+    assert.equal(c.headers['retry-after'], '30');
+    assert.equal(c.retry, 30000);
+
+    a.close();
+    await sleep(100);
+    const d = open();
+    try {
+      await d.until(count('open', 1));
+    } finally {
+      d.close();
+    }
+  } finally {
+    a.close();
+    b.close();
+  }
+});
+
+test('streams: /tiktok-ws shares the cap; closed and abandoned handshakes give their slot back', async () => {
+  fake.profile('wscapped', { roomId: '7602', live: true });
+  const url = `${base.replace(/^http/, 'ws')}/tiktok-ws?user=wscapped`;
+  const open = () => {
+    const ws = new WebSocket(url, { headers: from('10.8.0.5') });
+    const result = new Promise(resolve => {
+      ws.once('open', () => resolve(200));
+      ws.once('unexpected-response', (_req, res) => resolve(res.statusCode));
+    });
+    ws.on('error', () => {});
+    return { ws, result };
+  };
+  // Handshakes that pass verifyClient but never become a connection (ws
+  // drops them quietly when the client is gone by then) must not keep a slot
+  const verify = (socket) => new Promise(resolve => wss.options.verifyClient({
+    origin: undefined,
+    req: { url: '/tiktok-ws?user=wscapped', headers: { 'x-forwarded-for': '10.8.0.5' }, socket }
+  }, resolve));
+  const dropped = [new net.Socket(), new net.Socket()];
+  for (const socket of dropped) assert.equal(await verify(socket), true);
+  for (const socket of dropped) socket.destroy();
+  await sleep(20);
+
+  const a = open();
+  const b = open();
+  try {
+    assert.deepEqual(await Promise.all([a.result, b.result]), [200, 200]);
+    const c = open();
+    assert.equal(await c.result, 429);
+
+    a.ws.terminate();
+    await sleep(100);
+    const d = open();
+    assert.equal(await d.result, 200);
+    d.ws.terminate();
+  } finally {
+    a.ws.terminate();
+    b.ws.terminate();
+  }
+});
@@ -0,0 +1,52 @@
+'use strict';
+// Request ids on the wire and secret redaction in log records.
+
+process.env.TIKTOK_SESSIONID = 'sid-value-1234567890';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { app, redactSecrets } = require('../server');
+
+let relay;
+let base;
+
+before(async () => {
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+});
+
+test('every response carries an X-Request-Id; a sane incoming one is kept', async () => {
+  const minted = await fetch(base + '/');
+  assert.match(minted.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const kept = await fetch(base + '/', { headers: { 'X-Request-Id': 'edge-1234abcd' } });
+  assert.equal(kept.headers.get('x-request-id'), 'edge-1234abcd');
+
+  const replaced = await fetch(base + '/', { headers: { 'X-Request-Id': 'bad id <script>' } });
+  assert.notEqual(replaced.headers.get('x-request-id'), 'bad id <script>');
+});
+
+test('redactSecrets masks secret keys, cookie pairs, bearer tokens and the session id', () => {
+  const out = redactSecrets({
+    url: 'https://www.tiktok.com/@x?sessionid=abc123&lang=en',
+    headers: { Cookie: 'ttwid=t1; tt-web-region=EU', Authorization: 'Bearer xyz' },
+    note: 'using sid-value-1234567890 now',
+    error: new Error('auth failed: Bearer abc.def'),
+    nested: [{ token: 'x' }, 'sid_tt=zzz; other=1']
+  });
+  assert.equal(out.url, 'https://www.tiktok.com/@x?sessionid=[redacted]&lang=en');
+  assert.deepEqual(out.headers, { Cookie: '[redacted]', Authorization: '[redacted]' });
+  assert.equal(out.note, 'using [redacted] now');
+  assert.equal(out.error.message, 'auth failed: Bearer [redacted]');
+  assert.deepEqual(out.nested, [{ token: '[redacted]' }, 'sid_tt=[redacted]; other=1']);
+  assert.doesNotMatch(JSON.stringify(out), /abc123|t1;|xyz|sid-value|zzz/);
+});
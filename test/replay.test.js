@@ -0,0 +1,178 @@
+'use strict';
+// Recording a live room to NDJSON and playing it back on /tiktok-replay over
+// the /tiktok-sse protocol: pacing, speed, ?events=, loop ids and resume.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+// Read at require time
+const RECORD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-rec-'));
+process.env.TIKTOK_RECORD_DIR = RECORD_DIR;
+// Room for the polling below; the last test drains a bucket of its own
+process.env.RATE_LIMITS = JSON.stringify({ 'tiktok-replay': { ip: { capacity: 60, perMin: 1 } } });
+process.env.TIKTOK_RETRY_DELAYS_MS = '30,60';
+process.env.ROOM_IDLE_GRACE_MS = '20';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { app, setTikTokUpstream } = require('../server');
+const { startFakeTikTok } = require('./support/fake-tiktok');
+const { openSse: openSseAt, label, count } = require('./support/sse-client');
+
+let fake;
+let relay;
+let restore;
+let base;
+let live;    // what /tiktok-sse delivered while recording
+let session; // the recording's name
+
+before(async () => {
+  fake = await startFakeTikTok();
+  restore = setTikTokUpstream({ fetch: fake.fetch, createConnector: fake.createConnector });
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  restore();
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+  await fake.close();
+});
+
+const replay = (query, headers) => openSseAt(relay.address().port, query, { path: '/tiktok-replay', headers });
+const withoutReqId = ({ reqId, ...rest }) => rest;
+
+async function waitFor(pred, ms = 3000) {
+  const until = Date.now() + ms;
+  for (;;) {
+    const v = await pred();
+    if (v) return v;
+    if (Date.now() > until) throw new Error('timed out');
+    await new Promise(r => setTimeout(r, 15));
+  }
+}
+
+test('record: a live room is written to <dir>/<user>-<startedAt>.ndjson', async () => {
+  fake.profile('rec1', { roomId: '7101', live: true });
+  fake.script('7101', [
+    { event: 'chat', data: { comment: 'one', uniqueId: 'a' } },
+    { wait: 80, event: 'chat', data: { comment: 'two', uniqueId: 'b' } },
+    { wait: 20, event: 'like', data: { uniqueId: 'c', likeCount: 3 } }
+  ]);
+  const sse = openSseAt(relay.address().port, 'user=rec1');
+  try {
+    live = await sse.until(count('like', 1));
+  } finally {
+    sse.close();
+  }
+
+  // The room closes after its idle grace and finishes the file
+  const { sessions } = await waitFor(async () => {
+    const body = await (await fetch(`${base}/tiktok-replay/sessions?user=rec1`)).json();
+    return body.sessions.length && body;
+  });
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].user, 'rec1');
+  session = sessions[0].session;
+  assert.match(session, /^rec1-\d{4}-\d{2}-\d{2}T[\d-]+Z$/);
+  assert.ok(!Number.isNaN(Date.parse(sessions[0].startedAt)));
+
+  const lines = await waitFor(() => {
+    const ls = fs.readFileSync(path.join(RECORD_DIR, session + '.ndjson'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    return ls.some(l => l.event === 'like') && ls;
+  });
+  assert.deepEqual(lines[0], { recording: 1, user: 'rec1', startedAt: sessions[0].startedAt });
+  const recorded = lines.slice(1);
+  assert.deepEqual(recorded.map(label), live.map(label));
+  assert.deepEqual(recorded.map(r => r.id), live.map(e => Number(e.id)));
+  assert.ok(recorded.every((r, i) => i === 0 || r.t >= recorded[i - 1].t));
+  assert.ok(recorded.every(r => !Number.isNaN(Date.parse(r.at))));
+});
+
+test('replay: same events and payloads at the recorded pacing', async () => {
+  const sse = replay(`session=${session}`);
+  try {
+    const evs = await sse.until(count('like', 1));
+    assert.deepEqual(evs[0].data, { stage: 'replay', session, speed: 1, loop: false, resumeFrom: 0, reqId: sse.headers['x-request-id'] });
+    const played = evs.slice(1);
+    assert.deepEqual(played.map(label), live.map(label));
+    assert.deepEqual(played.map(e => e.id), live.map(e => e.id));
+    assert.deepEqual(played.map(e => e.event === 'debug' ? withoutReqId(e.data) : e.data),
+      live.map(e => e.event === 'debug' ? withoutReqId(e.data) : e.data));
+    assert.equal(sse.headers['content-type'], 'text/event-stream; charset=utf-8');
+  } finally {
+    sse.close();
+  }
+});
+
+test('replay: ?speed= shortens the gaps; ?user= picks the latest recording; ?events= filters', async () => {
+  const gap = (evs) => {
+    const at = Object.fromEntries(evs.filter(e => e.event === 'chat').map(e => [e.data.comment, e.receivedAt]));
+    return at.two - at.one;
+  };
+
+  const slow = replay(`session=${session}&events=chat`);
+  const fast = replay('user=rec1&speed=20&events=chat');
+  try {
+    const evs = await fast.until(count('chat', 2));
+    const slowEvs = await slow.until(count('chat', 2));
+    assert.equal(evs[0].data.session, session);
+    assert.ok(!evs.some(e => e.event === 'like'));
+    assert.ok(evs.some(e => label(e) === 'status:connected'));
+    // Recorded gap is at least 80ms
+    assert.ok(gap(slowEvs) >= 70, `slow gap ${gap(slowEvs)}`);
+    assert.ok(gap(evs) < gap(slowEvs));
+  } finally {
+    slow.close();
+    fast.close();
+  }
+});
+
+test('replay: loop keeps ids increasing; Last-Event-ID resumes mid-loop', async () => {
+  const n = live.length;
+  const looped = replay(`session=${session}&loop=1&speed=50`);
+  try {
+    const evs = await looped.until(count('chat', 4));
+    const ids = evs.filter(e => e.id).map(e => Number(e.id));
+    assert.deepEqual(ids, Array.from({ length: ids.length }, (_, i) => i + 1));
+    const chats = evs.filter(e => e.event === 'chat');
+    assert.equal(Number(chats[2].id), Number(chats[0].id) + n);
+  } finally {
+    looped.close();
+  }
+
+  const firstChat = Number(live.find(e => e.event === 'chat').id);
+  const resumed = replay(`session=${session}&loop=1&speed=50`, { 'Last-Event-ID': String(n + firstChat) });
+  try {
+    const evs = await resumed.until(count('chat', 1));
+    assert.equal(evs[0].data.resumeFrom, n + firstChat);
+    assert.equal(Number(evs[1].id), n + firstChat + 1);
+    assert.equal(evs.find(e => e.event === 'chat').data.comment, 'two');
+  } finally {
+    resumed.close();
+  }
+});
+
+test('replay: unknown and malformed sessions are rejected', async () => {
+  assert.equal((await fetch(`${base}/tiktok-replay?session=rec1-2000-01-01T00-00-00-000Z`)).status, 404);
+  assert.equal((await fetch(`${base}/tiktok-replay?session=..%2Fserver`)).status, 400);
+  assert.equal((await fetch(`${base}/tiktok-replay?user=nobody`)).status, 404);
+  assert.equal((await fetch(`${base}/tiktok-replay`)).status, 400);
+});
+
+test('replay: listing sessions draws on the same per-IP bucket as playback', async () => {
+  const list = () => fetch(`${base}/tiktok-replay/sessions`, { headers: { 'X-Forwarded-For': '10.9.0.1' } });
+  for (let i = 0; i < 59; i++) assert.equal((await list()).status, 200);
+  // The 60th token goes on a playback, so the next listing is refused
+  assert.equal((await fetch(`${base}/tiktok-replay`, { headers: { 'X-Forwarded-For': '10.9.0.1' } })).status, 400);
+  const limited = await list();
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '60');
+  assert.equal((await limited.json()).error, 'rate_limited');
+});
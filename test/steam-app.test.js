@@ -0,0 +1,129 @@
+'use strict';
+// /steam-app over a stubbed store: hint fields, USD-only price tiers, the
+// not-found / region-locked / upstream-error paths, and the app's name (and
+// its makers') masked out of the description.
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+// The relay captures fetch at require time: answer the store from the tables
+// below, record what was asked
+const realFetch = globalThis.fetch;
+const storeCalls = [];
+const witcher = {
+  type: 'game',
+  name: 'The Witcher® 3: Wild Hunt',
+  developers: ['CD PROJEKT RED'],
+  publishers: ['CD PROJEKT RED'],
+  short_description: 'You are Geralt of Rivia. <b>The Witcher 3</b> is a story-driven RPG by CD PROJEKT RED &amp; friends. Witcher 3 won hundreds of awards. Studio: CDPR',
+  genres: [{ description: 'RPG' }],
+  categories: [{ description: 'Single-player' }],
+  release_date: { coming_soon: false, date: '18 May, 2015' },
+  metacritic: { score: 93 },
+  platforms: { windows: true, mac: false, linux: false },
+  screenshots: [{ path_thumbnail: 't.jpg', path_full: 'f.jpg' }]
+};
+const prices = {
+  us: { currency: 'USD', final: 3999 },
+  gb: { currency: 'GBP', final: 2499 }
+};
+const details = {
+  292030: (cc) => ({ success: true, data: { ...witcher, price_overview: prices[cc] } }),
+  440: () => ({ success: true, data: { ...witcher, name: 'Team Fortress 2', is_free: true } }),
+  999: () => ({ success: false }),
+  777: (cc) => (cc === 'gb' ? { success: true, data: witcher } : { success: false })
+};
+globalThis.fetch = (url, init) => {
+  const u = new URL(String(url));
+  if (u.hostname !== 'store.steampowered.com') return realFetch(url, init);
+  storeCalls.push(u.pathname + u.search);
+  if (u.pathname === '/api/appdetails') {
+    const appId = u.searchParams.get('appids');
+    if (appId === '500') return Promise.resolve(new Response('busy', { status: 503 }));
+    const entry = details[appId] ? details[appId](u.searchParams.get('cc')) : { success: false };
+    return Promise.resolve(Response.json({ [appId]: entry }));
+  }
+  const tags = '<a href="#" class="app_tag" >\n  Open World </a><a class="app_tag">RPG</a><a class="app_tag">+</a>';
+  return Promise.resolve(new Response(tags, { status: 200, headers: { 'Content-Type': 'text/html' } }));
+};
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { app } = require('../server');
+
+let relay;
+let base;
+
+before(async () => {
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  globalThis.fetch = realFetch;
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+});
+
+const steamApp = (query) => realFetch(`${base}/steam-app?${query}`);
+
+test('hints: render-ready fields, with the name and makers masked out of the description', async () => {
+  const res = await steamApp('appId=292030');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('cache-control'), 'public, max-age=3600');
+  const view = await res.json();
+  assert.deepEqual({ ...view, shortDescription: undefined }, {
+    appId: '292030',
+    type: 'game',
+    genres: ['RPG'],
+    categories: ['Single-player'],
+    releaseYear: 2015,
+    comingSoon: false,
+    developers: ['CD PROJEKT RED'],
+    publishers: ['CD PROJEKT RED'],
+    price: { tier: '20-40', final: 3999, currency: 'USD' },
+    metacritic: 93,
+    platforms: ['windows'],
+    screenshots: [{ thumb: 't.jpg', full: 'f.jpg' }],
+    tags: ['Open World', 'RPG'],
+    shortDescription: undefined
+  });
+  // Tags and markup are gone, entities decoded, the trailing "Studio: ****" label dropped
+  assert.equal(view.shortDescription, 'You are Geralt of Rivia. **** is a story-driven RPG by **** & friends. **** won hundreds of awards.');
+  assert.ok(!Object.hasOwn(view, 'name'));
+  assert.doesNotMatch(JSON.stringify({ ...view, developers: [], publishers: [] }), /witcher|wild hunt|projekt|cdpr/i);
+});
+
+test('price: tiers only for USD; another storefront keeps its price with a null tier', async () => {
+  const gb = await (await steamApp('appId=292030&cc=GB')).json();
+  assert.deepEqual(gb.price, { tier: null, final: 2499, currency: 'GBP' });
+  const free = await (await steamApp('appId=440')).json();
+  assert.deepEqual(free.price, { tier: 'free', final: 0, currency: null });
+  assert.ok(storeCalls.includes('/api/appdetails?appids=292030&cc=gb&l=english'));
+});
+
+test('errors: bad appId, unknown app, region lock and a failing store', async () => {
+  assert.equal((await steamApp('appId=abc')).status, 400);
+
+  const unknown = await steamApp('appId=999');
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.headers.get('cache-control'), 'public, max-age=300');
+  assert.deepEqual(await unknown.json(), { error: 'not_found', appId: '999', reason: 'delisted_or_unknown' });
+
+  const locked = await steamApp('appId=777');
+  assert.equal(locked.status, 451);
+  assert.deepEqual(await locked.json(), { error: 'region_locked', appId: '777', cc: 'us', availableIn: 'gb' });
+
+  const down = await steamApp('appId=500');
+  assert.equal(down.status, 502);
+  assert.deepEqual(await down.json(), { error: 'steam_upstream', status: 503 });
+});
+
+test('cache: details and tags are fetched once per app and storefront', async () => {
+  const before = storeCalls.length;
+  await steamApp('appId=292030');
+  await steamApp('appId=999');
+  assert.equal(storeCalls.length, before);
+});
@@ -0,0 +1,176 @@
+'use strict';
+// /steam-reviews/sample over a stubbed store: the cursor crawl and its cached
+// pool, filters, copy-paste dedupe, the positive/negative mix, and masking.
+
+process.env.STEAM_SAMPLE_PAGES = '3';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+// Review i of app 570's 300: a quarter negative, votes and playtime cycling,
+// the last ten copy-pasting the first ten, a few naming the game
+const filler = 'solid game, would play it again. ';
+function makeReview(i) {
+  if (i >= 290) {
+    const orig = makeReview(i - 290);
+    return { ...orig, recommendationid: String(i), review: orig.review.toUpperCase() + '!!' };
+  }
+  const mentions = i % 50 === 1;
+  let review = `Review ${i}: ` + (mentions ? 'Dota 2 beats every other game Valve made. ' : '') + filler.repeat(1 + i % 5);
+  if (i === 3) review = 'Dota 2 Dota 2 Dota 2 Valve Valve Dota 2 Dota 2';
+  return {
+    recommendationid: String(i),
+    review,
+    voted_up: i % 4 !== 0,
+    votes_up: mentions || i === 3 ? 1000 : i % 7,
+    votes_funny: 0,
+    timestamp_created: 1700000000 + i,
+    author: { steamid: String(76561190000000000n + BigInt(i)), playtime_at_review: (i % 10) * 60 },
+    steam_purchase: true,
+    received_for_free: false,
+    weighted_vote_score: '0.5'
+  };
+}
+const page = (cursor, from, next, n = 100) => ({
+  success: 1,
+  ...(cursor === '*' ? { query_summary: { num_reviews: n, total_reviews: 300 } } : {}),
+  reviews: Array.from({ length: n }, (_, k) => makeReview(from + k)),
+  cursor: next
+});
+// appId -> cursor -> status or page
+const reviewPages = {
+  570: { '*': page('*', 0, 'c1'), c1: page('c1', 100, 'c2'), c2: page('c2', 200, 'c3'), c3: 500 },
+  571: { '*': page('*', 0, 'c1'), c1: page('c1', 100, 'c1') }, // Steam repeats the cursor at the end
+  572: { '*': page('*', 0, 'c1'), c1: 502 },
+  573: { '*': 503 }
+};
+
+// The relay captures fetch at require time
+const realFetch = globalThis.fetch;
+const reviewCalls = [];
+globalThis.fetch = (url, init) => {
+  const u = new URL(String(url));
+  if (u.hostname !== 'store.steampowered.com') return realFetch(url, init);
+  if (u.pathname === '/api/appdetails') {
+    const appId = u.searchParams.get('appids');
+    return Promise.resolve(Response.json({ [appId]: { success: true, data: { name: 'Dota 2', developers: ['Valve'], publishers: ['Valve'] } } }));
+  }
+  const appId = u.pathname.split('/')[2];
+  const cursor = u.searchParams.get('cursor');
+  reviewCalls.push({ appId, cursor, language: u.searchParams.get('language') });
+  const got = reviewPages[appId]?.[cursor] ?? 404;
+  return Promise.resolve(typeof got === 'number' ? new Response('', { status: got }) : Response.json(got));
+};
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { app } = require('../server');
+
+let relay;
+let base;
+
+before(async () => {
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  globalThis.fetch = realFetch;
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+});
+
+const sample = async (query) => {
+  const res = await realFetch(`${base}/steam-reviews/sample?${query}`);
+  return { status: res.status, cache: res.headers.get('x-cache'), body: await res.json() };
+};
+const callsFor = (appId) => reviewCalls.filter(c => c.appId === appId);
+
+test('crawl: walks the cursor up to the page budget, once per app and language', async () => {
+  const first = await sample('appId=570&count=20');
+  assert.equal(first.status, 200);
+  assert.equal(first.cache, 'MISS');
+  assert.deepEqual(callsFor('570').map(c => [c.cursor, c.language]), [['*', 'all'], ['c1', 'all'], ['c2', 'all']]);
+  assert.deepEqual({ ...first.body.pool, crawledAt: undefined },
+    { fetched: 300, matched: 290, positive: 217, negative: 73, duplicates: 10, crawledAt: undefined });
+  assert.deepEqual(first.body.query_summary, { num_reviews: 100, total_reviews: 300 });
+  assert.equal(first.body.count, 20);
+  // Mapped: Steam's internal fields stay behind
+  assert.ok(first.body.reviews.every(r => !('recommendationid' in r) && !('weighted_vote_score' in r)));
+
+  // A fresh draw from the cached pool
+  const again = await sample('appId=570&count=20');
+  assert.equal(again.cache, 'HIT');
+  assert.equal(callsFor('570').length, 3);
+  assert.equal(again.body.pool.crawledAt, first.body.pool.crawledAt);
+
+  const english = await sample('appId=570&count=20&language=English');
+  assert.equal(english.cache, 'MISS');
+  assert.deepEqual(callsFor('570').slice(3).map(c => c.language), ['english', 'english', 'english']);
+});
+
+test('crawl: stops on a repeated cursor, keeps what it has when a later page fails', async () => {
+  assert.equal((await sample('appId=571')).body.pool.fetched, 200);
+  assert.deepEqual(callsFor('571').map(c => c.cursor), ['*', 'c1']);
+
+  const partial = await sample('appId=572');
+  assert.equal(partial.status, 200);
+  assert.equal(partial.body.pool.fetched, 100);
+
+  const down = await sample('appId=573');
+  assert.equal(down.status, 503);
+  assert.deepEqual(down.body, { error: 'steam_upstream', status: 503 });
+  // Failed crawls aren't cached
+  await sample('appId=573');
+  assert.equal(callsFor('573').length, 2);
+
+  assert.equal((await sample('appId=x')).status, 400);
+});
+
+test('filters: length, vote direction, helpful votes and playtime', async () => {
+  const neg = (await sample('appId=570&count=100&votedUp=false')).body;
+  assert.equal(neg.count, 73);
+  assert.ok(neg.reviews.every(r => r.voted_up === false));
+
+  const { body } = await sample('appId=570&count=100&minLength=80&maxLength=150&minVotesUp=3&minPlaytimeHours=5');
+  assert.ok(body.count > 0 && body.count === body.pool.matched);
+  for (const r of body.reviews) {
+    assert.ok(r.review.length >= 80 && r.review.length <= 150, r.review);
+    assert.ok(r.votes_up >= 3);
+    assert.ok(r.author.playtime_at_review >= 300);
+  }
+});
+
+test('dedupe: copy-pasted reviews count once, whatever their case and punctuation', async () => {
+  const { body } = await sample('appId=570&count=100&minVotesUp=1000&redact=0');
+  // Reviews 1 and 3 and their copies 291 and 293 all have 1000 votes
+  assert.equal(body.pool.duplicates, 2);
+  assert.equal(new Set(body.reviews.map(r => r.review.toLowerCase().replace(/\W/g, ''))).size, body.count);
+  assert.ok(!body.reviews.some(r => r.review.endsWith('!!')));
+});
+
+test('mix: positiveRatio sets the split; a short side is topped up from the other', async () => {
+  for (let n = 0; n < 3; n++) {
+    const { body } = await sample('appId=570&count=20&positiveRatio=0.25');
+    assert.deepEqual([body.count, body.reviews.filter(r => r.voted_up).length], [20, 5]);
+  }
+  // Only reviews 69, 139, 209 and 279 pass, all positive
+  const { body } = await sample('appId=570&count=3&positiveRatio=0&minVotesUp=6&minPlaytimeHours=9');
+  assert.deepEqual([body.pool.negative, body.count, body.reviews.every(r => r.voted_up)], [0, 3, true]);
+});
+
+test('masking: the title and developer are masked; dropMasked drops the mostly-masked', async () => {
+  const masked = (await sample('appId=570&count=100&minVotesUp=1000')).body;
+  assert.deepEqual(masked.redaction, { applied: true, dropped: 0 });
+  assert.equal(masked.count, 7);
+  assert.ok(masked.reviews.every(r => r.review.includes('****') && !/dota|valve/i.test(r.review)));
+
+  const plain = (await sample('appId=570&count=100&minVotesUp=1000&redact=0')).body;
+  assert.deepEqual(plain.redaction, { applied: false, dropped: 0 });
+  assert.ok(plain.reviews.every(r => r.review.includes('Dota 2')));
+
+  const dropped = (await sample('appId=570&count=100&minVotesUp=1000&dropMasked=1')).body;
+  assert.deepEqual([dropped.redaction.dropped, dropped.count], [1, 6]);
+  assert.ok(!dropped.reviews.some(r => r.review.startsWith('****')));
+});
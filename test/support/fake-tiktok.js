@@ -0,0 +1,194 @@
+'use strict';
+// Local stand-in for the parts of TikTok the relay talks to:
+//   GET /@<user>, /@<user>/live     profile pages with a SIGI_STATE blob (+ ttwid cookie)
+//   GET /webcast/room/info/         room status JSON
+//   WS  /webcast/push?room_id=      scripted event stream, one script per connection
+//
+// Plug it into the relay with setTikTokUpstream({ fetch: fake.fetch, createConnector: fake.createConnector }).
+//
+//   fake.profile('alice', { roomId: '7001', live: true, region: 'EU' })
+//   fake.profile('bob', { roomId: '7002', webcastError: true, delayMs: 50 })  // room info answers 500, slowly
+//   fake.profile('carol', { roomId: '7003', live: true, pageStatus: 403 })      // profile pages blocked
+//   fake.script('7001',
+//     [{ event: 'chat', data: { comment: 'hi', uniqueId: 'bob' } }, { disconnect: true }],  // 1st connect
+//     [{ reject: 'room is closed' }])                                                     // 2nd connect
+//
+// Script steps: { event, data } | { streamEnd: true } | { error: 'message' } |
+// { disconnect: true } (server hangs up) | { reject: 'message' } (connect()
+// rejects; steps before it go out with the refusal, steps after it a moment
+// later, then the socket closes) | { wait: ms }. A connection with no script left just stays open.
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const { WebSocketServer, WebSocket } = require('ws');
+
+function profileHtml(user, p) {
+  const status = p.live ? 2 : 4;
+  const state = {
+    LiveRoom: {
+      liveRoomUserInfo: { user: { uniqueId: user, roomId: p.roomId || '', status } },
+      liveRoom: { status, streamId: p.roomId ? 's' + p.roomId : '' },
+      liveRoomId: p.roomId || ''
+    }
+  };
+  const cdn = p.region === 'EU' ? 'https://pull-f5-eu.tiktokcdn-eu.com/stage/stream.flv'
+    : p.region === 'US' ? 'https://pull-f5-us.tiktokcdn-us.com/stage/stream.flv' : '';
+  return `<!doctype html><html><head><title>${user} LIVE</title></head><body>` +
+    (cdn ? `<link rel="preload" href="${cdn}">` : '') +
+    `<script id="SIGI_STATE" type="application/json">${JSON.stringify(state)}</script></body></html>`;
+}
+
+async function startFakeTikTok() {
+  const profiles = new Map();   // user -> { roomId, live, region, webcastStatus, webcastError, delayMs, pageStatus }
+  const scripts = new Map();    // roomId -> [[step, ...], ...]
+  const requests = [];          // { path, cookie }
+  const connections = [];       // { roomId, user, cookie }
+  const sockets = new Set();
+  let inFlight = 0;
+  let peakInFlight = 0;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://fake');
+    requests.push({ path: url.pathname + url.search, cookie: req.headers.cookie || '' });
+
+    inFlight++;
+    peakInFlight = Math.max(peakInFlight, inFlight);
+    res.on('close', () => { inFlight--; });
+
+    const m = url.pathname.match(/^\/@([^/]+)(?:\/live)?\/?$/);
+    if (m) {
+      const p = profiles.get(decodeURIComponent(m[1]).toLowerCase());
+      if (p && p.delayMs) await new Promise(r => setTimeout(r, p.delayMs));
+      res.setHeader('Set-Cookie', ['ttwid=fake-ttwid; Path=/; Max-Age=31536000', 'odin_tt=fake-odin; Path=/']);
+      if (!p) { res.writeHead(404, { 'Content-Type': 'text/html' }); return res.end('<html>not found</html>'); }
+      if (p.pageStatus) { res.writeHead(p.pageStatus, { 'Content-Type': 'text/html' }); return res.end('<html>blocked</html>'); }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(profileHtml(m[1], p));
+    }
+
+    if (url.pathname === '/webcast/room/info/') {
+      const roomId = url.searchParams.get('room_id');
+      const p = Array.from(profiles.values()).find(x => x.roomId === roomId);
+      if (p && p.webcastError) { res.writeHead(500, { 'Content-Type': 'text/plain' }); return res.end('upstream error'); }
+      const status = p ? (p.webcastStatus ?? (p.live ? 2 : 4)) : 4;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ data: { room_info: { status } } }));
+    }
+
+    if (url.pathname === '/') {
+      res.setHeader('Set-Cookie', 'ttwid=fake-ttwid; Path=/');
+      return res.end('<html></html>');
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  const wss = new WebSocketServer({ server, path: '/webcast/push' });
+  wss.on('connection', (ws, req) => {
+    sockets.add(ws);
+    ws.on('close', () => sockets.delete(ws));
+    const url = new URL(req.url, 'http://fake');
+    const roomId = url.searchParams.get('room_id');
+    connections.push({ roomId, user: url.searchParams.get('user'), cookie: req.headers.cookie || '' });
+
+    const queue = scripts.get(roomId) || [];
+    const steps = queue.length ? queue.shift() : [];
+    const send = (frame) => { if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(frame)); };
+    const sendStep = (step) => {
+      if (step.streamEnd) send({ type: 'event', name: 'streamEnd', data: { action: 3 } });
+      else if (step.error) send({ type: 'event', name: 'error', data: { message: step.error } });
+      else if (step.event) send({ type: 'event', name: step.event, data: step.data || {} });
+    };
+
+    const refusal = steps.findIndex(step => step.reject);
+    if (refusal >= 0) {
+      steps.slice(0, refusal).forEach(sendStep);
+      send({ type: 'reject', message: steps[refusal].reject });
+      // The rest a moment later, once the relay has seen the refusal
+      return setTimeout(() => { steps.slice(refusal + 1).forEach(sendStep); ws.close(); }, 20);
+    }
+    send({ type: 'connected', roomId });
+
+    (async () => {
+      for (const step of steps) {
+        await new Promise(r => setTimeout(r, step.wait || 5));
+        if (ws.readyState !== WebSocket.OPEN) return;
+        if (step.disconnect) return ws.close();
+        sendStep(step);
+      }
+    })();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // fetch() that sends www./webcast.tiktok.com here instead
+  const fetchViaFake = (url, init = {}) => {
+    const target = String(url).replace(/^https?:\/\/(?:www|webcast)\.tiktok\.com/i, base);
+    const headers = { ...(init.headers || {}) };
+    delete headers.Host;
+    delete headers['Accept-Encoding'];
+    return fetch(target, { ...init, headers });
+  };
+
+  // WebcastPushConnection look-alike fed by /webcast/push
+  class FakeConnector extends EventEmitter {
+    constructor(user, options = {}) {
+      super();
+      this.user = user;
+      this.options = options;
+      this.ws = null;
+      this.connected = false;
+      this.closedByUs = false;
+    }
+
+    connect(roomId) {
+      return new Promise((resolve, reject) => {
+        const cookie = this.options.requestOptions?.headers?.Cookie || '';
+        const ws = new WebSocket(`${base.replace(/^http/, 'ws')}/webcast/push?room_id=${encodeURIComponent(roomId)}&user=${encodeURIComponent(this.user)}`,
+          { headers: { Cookie: cookie } });
+        this.ws = ws;
+        let settled = false;
+        ws.on('message', (buf) => {
+          let frame;
+          try { frame = JSON.parse(String(buf)); } catch { return; }
+          if (frame.type === 'connected') { settled = true; this.connected = true; return resolve({ roomId }); }
+          if (frame.type === 'reject') { settled = true; return reject(new Error(frame.message)); }
+          if (frame.type === 'event') {
+            this.emit(frame.name, frame.name === 'error' ? new Error(frame.data.message) : frame.data);
+          }
+        });
+        ws.on('close', () => {
+          if (!settled) { settled = true; return reject(new Error('push socket closed')); }
+          if (this.connected && !this.closedByUs) this.emit('disconnected');
+        });
+        ws.on('error', (e) => { if (!settled) { settled = true; reject(e); } });
+      });
+    }
+
+    disconnect() {
+      this.closedByUs = true;
+      try { this.ws && this.ws.close(); } catch {}
+    }
+  }
+
+  return {
+    url: base,
+    requests,
+    connections,
+    // Most HTTP requests the fake was serving at once
+    get peakInFlight() { return peakInFlight; },
+    profile(user, p) { profiles.set(String(user).toLowerCase(), { ...p }); },
+    script(roomId, ...perConnection) { scripts.set(String(roomId), perConnection); },
+    fetch: fetchViaFake,
+    createConnector: (user, options) => new FakeConnector(user, options),
+    close() {
+      for (const ws of sockets) ws.terminate();
+      wss.close();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startFakeTikTok };
@@ -0,0 +1,98 @@
+'use strict';
+// Local stand-in for Twitch's chat WebSocket (irc-ws.chat.twitch.tv). Point the
+// relay at it with TWITCH_IRC_URL=fake.url before requiring server.js.
+//
+//   fake.channel('alice', { roomId: '555' })                 // joinable channel
+//   fake.channel('banned', { notice: 'This channel has been suspended.' })
+//   fake.script('alice',
+//     [{ privmsg: { user: 'bob', display: 'Bob', text: 'hi' } }, { reconnect: true }],  // 1st join
+//     [{ ping: true }, { privmsg: { user: 'bob', text: 'back' } }])                      // 2nd join
+//
+// Script steps (run after the join): { privmsg: { user, display?, text } } |
+// { ping: true } (expects a PONG) | { reconnect: true } (sends RECONNECT) |
+// { close: true } (server hangs up) | { wait: ms }. A connection with no script
+// left just stays open.
+
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+
+async function startFakeTwitchIrc() {
+  const channels = new Map(); // login -> { roomId, notice }
+  const scripts = new Map();  // login -> [[step, ...], ...]
+  const connections = [];     // { nick, channel, lines: [client lines] }
+  const pongs = [];
+  const sockets = new Set();
+
+  const server = http.createServer((_req, res) => { res.writeHead(404); res.end(); });
+  const wss = new WebSocketServer({ server });
+
+  wss.on('connection', (ws) => {
+    sockets.add(ws);
+    ws.on('close', () => sockets.delete(ws));
+    const conn = { nick: '', channel: null, lines: [] };
+    connections.push(conn);
+    const send = (line) => { if (ws.readyState === WebSocket.OPEN) ws.send(line + '\r\n'); };
+
+    ws.on('message', (buf) => {
+      for (const line of String(buf).split('\r\n').filter(Boolean)) {
+        conn.lines.push(line);
+        const [cmd, arg = ''] = line.split(' ');
+        if (cmd === 'NICK') {
+          conn.nick = arg;
+          send(`:tmi.twitch.tv 001 ${arg} :Welcome, GLHF!`);
+        } else if (cmd === 'PONG') {
+          pongs.push(line);
+        } else if (cmd === 'JOIN') {
+          const login = arg.replace(/^#/, '');
+          const ch = channels.get(login);
+          if (!ch || ch.notice) {
+            send(`@msg-id=msg_channel_suspended :tmi.twitch.tv NOTICE #${login} :${(ch && ch.notice) || 'No such channel.'}`);
+            continue;
+          }
+          conn.channel = login;
+          send(`:${conn.nick}!${conn.nick}@${conn.nick}.tmi.twitch.tv JOIN #${login}`);
+          send(`:${conn.nick}.tmi.twitch.tv 353 ${conn.nick} = #${login} :${conn.nick}`);
+          send(`:${conn.nick}.tmi.twitch.tv 366 ${conn.nick} #${login} :End of /NAMES list`);
+          send(`@emote-only=0;room-id=${ch.roomId || ''};subs-only=0 :tmi.twitch.tv ROOMSTATE #${login}`);
+          run(login);
+        }
+      }
+    });
+
+    function run(login) {
+      const queue = scripts.get(login) || [];
+      const steps = queue.length ? queue.shift() : [];
+      (async () => {
+        for (const step of steps) {
+          await new Promise(r => setTimeout(r, step.wait || 5));
+          if (ws.readyState !== WebSocket.OPEN) return;
+          if (step.close) return ws.close();
+          if (step.reconnect) send(':tmi.twitch.tv RECONNECT');
+          else if (step.ping) send('PING :tmi.twitch.tv');
+          else if (step.privmsg) {
+            const { user, display, text } = step.privmsg;
+            const tags = `@badge-info=;display-name=${display || ''};user-id=9${user.length}`;
+            send(`${tags} :${user}!${user}@${user}.tmi.twitch.tv PRIVMSG #${login} :${text}`);
+          }
+        }
+      })();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    connections,
+    pongs,
+    channel(login, c = {}) { channels.set(String(login).toLowerCase(), { ...c }); },
+    script(login, ...perConnection) { scripts.set(String(login).toLowerCase(), perConnection); },
+    close() {
+      for (const ws of sockets) ws.terminate();
+      wss.close();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startFakeTwitchIrc };
@@ -0,0 +1,62 @@
+'use strict';
+// Minimal /tiktok-sse (and /tiktok-replay) reader for the integration tests.
+
+const http = require('http');
+
+// Minimal EventSource: collects { id, event, data, receivedAt } until asked to stop
+function openSse(port, query, { path = '/tiktok-sse', headers = {} } = {}) {
+  const events = [];
+  let waiter = null;
+  let onEnd;
+  const ended = new Promise(resolve => { onEnd = resolve; }); // server closed the stream
+  const check = () => { if (waiter && waiter.pred(events)) { const w = waiter; waiter = null; clearTimeout(w.timer); w.resolve(events.slice()); } };
+
+  const req = http.get({ host: '127.0.0.1', port, path: path + '?' + query, headers }, (res) => {
+    api.headers = res.headers;
+    res.setEncoding('utf8');
+    res.on('end', onEnd);
+    let buf = '';
+    res.on('data', (chunk) => {
+      buf += chunk;
+      let i;
+      while ((i = buf.indexOf('\n\n')) !== -1) {
+        const block = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        const ev = {};
+        for (const line of block.split('\n')) {
+          const m = line.match(/^(id|event|data|retry): ?(.*)$/);
+          if (m) ev[m[1]] = m[1] === 'data' ? JSON.parse(m[2]) : m[2];
+        }
+        if (ev.retry) api.retry = Number(ev.retry);
+        if (ev.event) { ev.receivedAt = Date.now(); events.push(ev); check(); }
+      }
+    });
+  });
+  req.on('error', () => {});
+
+  const api = {
+    headers: null,
+    retry: null, // last reconnect delay the server asked for
+    events,
+    ended,
+    until(pred, ms = 4000) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => { waiter = null; reject(new Error('timed out; got ' + JSON.stringify(events.map(label)))); }, ms);
+        waiter = { pred, resolve, timer };
+        check();
+      });
+    },
+    close() { req.destroy(); }
+  };
+  return api;
+}
+
+// "debug:attempt", "status:connected", "chat", ...
+function label(e) {
+  if (e.event === 'debug') return 'debug:' + e.data.stage;
+  if (e.event === 'status') return 'status:' + e.data.state;
+  return e.event;
+}
+const count = (name, n) => (evs) => evs.filter(e => label(e) === name).length >= n;
+
+module.exports = { openSse, label, count };
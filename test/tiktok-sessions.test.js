@@ -0,0 +1,192 @@
+'use strict';
+// TikTok cookie jar and session-id pool against the local TikTok stand-in:
+// cookies fetched once and reused across reconnects and users, persisted with
+// their expiry; refused sessions rotated out and sidelined (other rejections
+// rotate without a penalty); no values in events.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+// Read at require time. The jar file starts with one good cookie, one
+// expired one and one the jar doesn't keep.
+const JAR_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'relay-jar-')), 'cookies.json');
+fs.writeFileSync(JAR_FILE, JSON.stringify({
+  cookies: {
+    s_v_web_id: { value: 'seeded-web-id', expiresAt: Date.now() + 3600000 },
+    odin_tt: { value: 'expired-odin', expiresAt: Date.now() - 1000 },
+    passport_csrf_token: { value: 'not-a-jar-cookie', expiresAt: Date.now() + 3600000 }
+  }
+}));
+process.env.TIKTOK_COOKIE_JAR_FILE = JAR_FILE;
+process.env.TIKTOK_SESSIONIDS = 'sess-alpha-0001, sess-bravo-0002';
+process.env.TIKTOK_SESSION_MAX_FAILURES = '2';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.TIKTOK_RETRY_DELAYS_MS = '30,60';
+process.env.ROOM_IDLE_GRACE_MS = '20';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { app, setTikTokUpstream } = require('../server');
+const { startFakeTikTok } = require('./support/fake-tiktok');
+const { openSse: openSseAt, label, count } = require('./support/sse-client');
+
+let fake;
+let relay;
+let restore;
+let base;
+
+before(async () => {
+  fake = await startFakeTikTok();
+  restore = setTikTokUpstream({ fetch: fake.fetch, createConnector: fake.createConnector });
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  restore();
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+  await fake.close();
+});
+
+const openSse = (query) => openSseAt(relay.address().port, query);
+const admin = (p) => fetch(base + p, { headers: { Authorization: 'Bearer test-admin-token' } });
+const cookieOf = (header, name) => (header.match(new RegExp(`(?:^|; )${name}=([^;]*)`)) || [])[1];
+const SECRETS = ['fake-ttwid', 'fake-odin', 'seeded-web-id', 'sess-alpha-0001', 'sess-bravo-0002'];
+
+test('cookies: fetched once, then reused across reconnects and users', async () => {
+  fake.profile('jar_one', { roomId: '7201', live: true });
+  fake.profile('jar_two', { roomId: '7202', live: true });
+  fake.script('7201',
+    [{ event: 'chat', data: { comment: 'first', uniqueId: 'a' } }, { disconnect: true }],
+    [{ event: 'chat', data: { comment: 'back', uniqueId: 'a' } }]
+  );
+
+  const one = openSse('user=jar_one');
+  let evs;
+  try {
+    evs = await one.until(count('chat', 2));
+  } finally {
+    one.close();
+  }
+  const two = openSse('user=jar_two');
+  try {
+    evs = evs.concat(await two.until(count('open', 1)));
+  } finally {
+    two.close();
+  }
+
+  // Only the very first page visit went out without a ttwid
+  assert.equal(fake.requests.filter(r => !/ttwid=fake-ttwid/.test(r.cookie)).length, 1);
+
+  const cookies = evs.filter(e => label(e) === 'debug:cookies');
+  assert.deepEqual(cookies.map(e => e.data.reused), [false, true, true]);
+  assert.deepEqual(cookies[0].data.cookieNames,
+    ['ttwid', 'odin_tt', 's_v_web_id', 'msToken', 'tt-web-region', 'sessionid', 'sessionid_ss']);
+  // A room keeps its session across reconnects
+  assert.match(cookies[0].data.session, /^[0-9a-f]{8}$/);
+  assert.equal(cookies[1].data.session, cookies[0].data.session);
+
+  // Same cookies, msToken included, on every connector
+  const sent = fake.connections.filter(c => ['7201', '7202'].includes(c.roomId)).map(c => c.cookie);
+  assert.equal(sent.length, 3);
+  assert.equal(new Set(sent.map(c => cookieOf(c, 'msToken'))).size, 1);
+  assert.equal(cookieOf(sent[0], 'msToken').length, 107);
+  assert.ok(sent.every(c => cookieOf(c, 's_v_web_id') === 'seeded-web-id' && cookieOf(c, 'odin_tt') === 'fake-odin'));
+  assert.ok(sent.every(c => !c.includes('passport_csrf_token')));
+
+  // No cookie or session value reaches a client
+  const wire = JSON.stringify(evs);
+  for (const secret of SECRETS.concat(cookieOf(sent[0], 'msToken'))) assert.ok(!wire.includes(secret), secret);
+});
+
+test('cookies: the jar is persisted with expiry; admin shows names only', async () => {
+  assert.equal(fs.statSync(JAR_FILE).mode & 0o777, 0o600);
+  const saved = JSON.parse(fs.readFileSync(JAR_FILE, 'utf8')).cookies;
+  assert.deepEqual(Object.keys(saved).sort(), ['msToken', 'odin_tt', 's_v_web_id', 'ttwid']);
+  assert.equal(saved.ttwid.value, 'fake-ttwid');
+  // Max-Age from Set-Cookie, the 6h default without one
+  assert.ok(Math.abs(saved.ttwid.expiresAt - (Date.now() + 31536000 * 1000)) < 60000);
+  assert.ok(Math.abs(saved.odin_tt.expiresAt - (Date.now() + 6 * 3600 * 1000)) < 60000);
+
+  const body = await (await admin('/admin/tiktok/sessions')).json();
+  assert.deepEqual(body.cookies.map(c => c.name), ['ttwid', 'odin_tt', 's_v_web_id', 'msToken']);
+  assert.ok(body.cookies.every(c => !Number.isNaN(Date.parse(c.expiresAt))));
+  assert.equal(body.sessions.length, 2);
+  const text = JSON.stringify(body);
+  for (const secret of SECRETS.concat(saved.msToken.value)) assert.ok(!text.includes(secret), secret);
+});
+
+test('sessions: a rejection that is not a login refusal moves on without a penalty', async () => {
+  fake.profile('jar_net', { roomId: '7204', live: true });
+  fake.script('7204',
+    [{ reject: 'LIVE has ended' }],
+    [{ reject: 'connect ETIMEDOUT' }],
+    [{ event: 'chat', data: { comment: 'through', uniqueId: 'a' } }]
+  );
+  const before = (await (await admin('/admin/tiktok/sessions')).json()).sessions;
+
+  const sse = openSse('user=jar_net');
+  let evs;
+  try {
+    evs = await sse.until(count('chat', 1), 6000);
+  } finally {
+    sse.close();
+  }
+
+  // Still rotated, so a session TikTok quietly dislikes doesn't pin the room
+  const [x, y, z] = evs.filter(e => label(e) === 'debug:cookies').map(e => e.data.session);
+  assert.notEqual(x, y);
+  assert.equal(z, x);
+
+  const { sessions } = await (await admin('/admin/tiktok/sessions')).json();
+  assert.deepEqual(sessions.map(s => s.state), ['healthy', 'healthy']);
+  assert.deepEqual(sessions.map(s => [s.failures, s.consecutiveFailures]), before.map(s => [s.failures, 0]));
+  assert.ok(sessions.every(s => s.lastError === null));
+});
+
+test('sessions: a refused session is rotated out, then sidelined; none left → anonymous', async () => {
+  fake.profile('jar_rot', { roomId: '7203', live: true });
+  fake.script('7203',
+    [{ reject: 'session rejected: sess-alpha-0001 / sess-bravo-0002' }],
+    [{ reject: 'session rejected' }],
+    [{ reject: 'session rejected' }],
+    [{ reject: 'session rejected' }],
+    [{ event: 'chat', data: { comment: 'anonymous', uniqueId: 'a' } }]
+  );
+
+  const sse = openSse('user=jar_rot');
+  let evs;
+  try {
+    evs = await sse.until(count('chat', 1), 6000);
+  } finally {
+    sse.close();
+  }
+
+  const used = evs.filter(e => label(e) === 'debug:cookies').map(e => e.data.session);
+  const [x, y] = used;
+  assert.notEqual(x, y);
+  assert.deepEqual(used, [x, y, x, y, null]);
+
+  // The session values TikTok quoted back were masked
+  const rejected = evs.find(e => label(e) === 'status:error');
+  assert.equal(rejected.data.error, 'session rejected: [redacted] / [redacted]');
+
+  const sent = fake.connections.filter(c => c.roomId === '7203').map(c => cookieOf(c.cookie, 'sessionid') || null);
+  assert.equal(sent.length, 5);
+  assert.equal(sent[4], null);
+  assert.deepEqual(sent.slice(0, 4), [sent[0], sent[1], sent[0], sent[1]]);
+
+  const { sessions } = await (await admin('/admin/tiktok/sessions')).json();
+  assert.deepEqual(sessions.map(s => s.state), ['sidelined', 'sidelined']);
+  assert.ok(sessions.every(s => s.consecutiveFailures === 2 && Date.parse(s.sidelinedUntil) > Date.now()));
+  assert.ok(sessions.every(s => s.lastError === 'session rejected'));
+
+  const metrics = await (await fetch(base + '/metrics')).text();
+  assert.match(metrics, /^tiktok_sessions\{state="sidelined"\} 2$/m);
+});
@@ -0,0 +1,276 @@
+'use strict';
+// /tiktok-sse end to end against the local TikTok stand-in: the exact event
+// sequence a client sees for offline, live, region-switch and reconnect runs.
+
+// Read at require time: fast retries, rooms torn down right after the test hangs up
+process.env.TIKTOK_RETRY_DELAYS_MS = '30,60';
+process.env.ROOM_IDLE_GRACE_MS = '20';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { app, setTikTokUpstream } = require('../server');
+const { startFakeTikTok } = require('./support/fake-tiktok');
+const { openSse: openSseAt, label, count } = require('./support/sse-client');
+
+let fake;
+let relay;
+let restore;
+
+before(async () => {
+  fake = await startFakeTikTok();
+  restore = setTikTokUpstream({ fetch: fake.fetch, createConnector: fake.createConnector });
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+});
+
+after(async () => {
+  restore();
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+  await fake.close();
+});
+
+const openSse = (query) => openSseAt(relay.address().port, query);
+
+test('offline: scrape finds a room that is not live → offline + retry', async () => {
+  fake.profile('offline1', { roomId: '7001', live: false });
+  const sse = openSse('user=offline1');
+  try {
+    const evs = await sse.until(count('debug:attempt', 2));
+    assert.deepEqual(evs.map(label), [
+      'debug:attempt', 'debug:cookies', 'debug:room-scrape', 'room', 'status:offline', 'debug:retry', 'debug:attempt'
+    ]);
+    assert.deepEqual(evs[3].data, { user: 'offline1', isLive: false });
+    assert.equal(evs[4].data.reason, 'scrape-validate-failed');
+    assert.deepEqual(evs[5].data, { stage: 'retry', user: 'offline1', inMs: 30, reason: 'no-live', reqId: sse.headers['x-request-id'] });
+    // Every debug event carries this session's request id
+    assert.match(sse.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+    assert.ok(evs.filter(e => e.event === 'debug').every(e => e.data.reqId === sse.headers['x-request-id']));
+    assert.equal(evs[6].data.trigger, 'retry');
+    // Event ids are per room and strictly increasing
+    assert.deepEqual(evs.map(e => Number(e.id)), [1, 2, 3, 4, 5, 6, 7]);
+  } finally {
+    sse.close();
+  }
+});
+
+test('live: validated room connects and forwards mapped events', async () => {
+  fake.profile('live1', { roomId: '7002', live: true });
+  fake.script('7002', [
+    { event: 'chat', data: { comment: 'hello', uniqueId: 'viewer1', nickname: 'V1', extra: 'dropped' } },
+    { event: 'like', data: { uniqueId: 'viewer2', nickname: 'V2', likeCount: 5, totalLikeCount: 50 } },
+    { event: 'roomUser', data: { viewerCount: 12 } }
+  ]);
+  const sse = openSse('user=live1');
+  try {
+    const evs = await sse.until(count('roomUser', 1));
+    assert.deepEqual(evs.map(label), [
+      'debug:attempt', 'debug:cookies', 'debug:room-scrape', 'room', 'debug:region', 'status:connected', 'open',
+      'chat', 'like', 'roomUser'
+    ]);
+    assert.equal(evs[2].data.scraped.from, 'validated');
+    assert.deepEqual(evs[3].data, { user: 'live1', roomId: '7002', isLive: true, trust: false, pageLive: true });
+    assert.deepEqual(evs[5].data, { state: 'connected', user: 'live1', roomId: '7002', region: 'US' });
+    assert.deepEqual(evs[7].data, { comment: 'hello', uniqueId: 'viewer1', nickname: 'V1' });
+    assert.deepEqual(evs[8].data, { uniqueId: 'viewer2', nickname: 'V2', likeCount: 5, totalLikeCount: 50 });
+    assert.deepEqual(evs[9].data, { viewerCount: 12 });
+
+    // The cookie grab ran first and its ttwid went along on the scrape
+    const validate = fake.requests.find(r => r.path.startsWith('/webcast/room/info/?') && r.path.includes('7002'));
+    assert.match(validate.cookie, /ttwid=fake-ttwid/);
+  } finally {
+    sse.close();
+  }
+});
+
+test('user: "@Name" and "name" share one room; a malformed handle is refused', async () => {
+  fake.profile('sameroom', { roomId: '7007', live: true });
+  const at = openSse('user=' + encodeURIComponent(' @SameRoom '));
+  const plain = openSse('user=sameroom');
+  try {
+    const [a, b] = await Promise.all([at.until(count('open', 1)), plain.until(count('open', 1))]);
+    assert.equal(a.find(e => e.event === 'room').data.user, 'sameroom');
+    assert.equal(b.find(e => e.event === 'room').data.user, 'sameroom');
+    assert.equal(fake.connections.filter(c => c.roomId === '7007').length, 1);
+  } finally {
+    at.close();
+    plain.close();
+  }
+
+  const port = relay.address().port;
+  const bad = await fetch(`http://127.0.0.1:${port}/tiktok-sse?user=${encodeURIComponent('not a handle!')}`);
+  assert.equal(bad.status, 400);
+  assert.deepEqual(await bad.json(), { error: 'invalid_user' });
+  assert.equal((await fetch(`http://127.0.0.1:${port}/tiktok-sse?user=`)).status, 400);
+});
+
+test('events: ?events= keeps the named data events; unknown names are ignored', async () => {
+  fake.profile('filtered', { roomId: '7006', live: true });
+  fake.script('7006', [
+    { wait: 300 },
+    { event: 'like', data: { uniqueId: 'v', likeCount: 1, totalLikeCount: 1 } },
+    { event: 'chat', data: { comment: 'hi', uniqueId: 'v' } },
+    { event: 'roomUser', data: { viewerCount: 3 } }
+  ]);
+  const chatOnly = openSse('user=filtered&events=chat,bogus');
+  const typos = openSse('user=filtered&events=chats,likes');
+  try {
+    const [a, b] = await Promise.all([chatOnly.until(count('chat', 1)), typos.until(count('roomUser', 1))]);
+    const data = (evs) => evs.map(label).filter(l => ['chat', 'like', 'roomUser'].includes(l));
+    // Control events (status, open, debug...) go out either way
+    assert.ok(a.some(e => label(e) === 'status:connected'));
+    assert.deepEqual(data(a), ['chat']);
+    assert.deepEqual(data(b), ['like', 'chat', 'roomUser']);
+  } finally {
+    chatOnly.close();
+    typos.close();
+  }
+});
+
+test('region: EU CDN hint switches the connector cookie; ?region= overrides it', async () => {
+  fake.profile('eu1', { roomId: '7003', live: true, region: 'EU' });
+  fake.profile('eu2', { roomId: '7004', live: true, region: 'EU' });
+
+  const hinted = openSse('user=eu1');
+  try {
+    const evs = await hinted.until(count('open', 1));
+    assert.deepEqual(evs.map(label), ['debug:attempt', 'debug:cookies', 'debug:room-scrape', 'room', 'debug:region', 'status:connected', 'open']);
+    assert.deepEqual(evs[4].data, { stage: 'region', selected: 'EU', hinted: 'EU', reqId: hinted.headers['x-request-id'] });
+    assert.equal(evs[5].data.region, 'EU');
+    assert.match(fake.connections.find(c => c.roomId === '7003').cookie, /tt-web-region=EU/);
+  } finally {
+    hinted.close();
+  }
+
+  const forced = openSse('user=eu2&region=US');
+  try {
+    const evs = await forced.until(count('open', 1));
+    assert.deepEqual(evs[4].data, { stage: 'region', selected: 'US', hinted: 'EU', reqId: forced.headers['x-request-id'] });
+    assert.equal(evs[5].data.region, 'US');
+    assert.match(fake.connections.find(c => c.roomId === '7004').cookie, /tt-web-region=US/);
+  } finally {
+    forced.close();
+  }
+});
+
+test('reconnect: disconnect, rejected connect, streamEnd and error each back off and recover', async () => {
+  fake.profile('flaky1', { roomId: '7005', live: true });
+  fake.script('7005',
+    [{ event: 'chat', data: { comment: 'first', uniqueId: 'a' } }, { disconnect: true }],
+    [{ reject: 'room closed' }],
+    [{ streamEnd: true }],
+    [{ error: 'upstream hiccup' }],
+    [{ event: 'chat', data: { comment: 'back', uniqueId: 'a' } }]
+  );
+  const connectRun = ['debug:attempt', 'debug:cookies', 'debug:room-scrape', 'room', 'debug:region'];
+
+  const sse = openSse('user=flaky1');
+  try {
+    const evs = await sse.until(count('chat', 2), 6000);
+    assert.deepEqual(evs.map(label), [
+      ...connectRun, 'status:connected', 'open', 'chat',
+      'status:disconnected', 'debug:retry',
+      ...connectRun, 'status:error', 'debug:retry',
+      ...connectRun, 'status:connected', 'open', 'status:ended', 'debug:retry',
+      ...connectRun, 'status:connected', 'open', 'status:error', 'debug:retry',
+      ...connectRun, 'status:connected', 'open', 'chat'
+    ]);
+
+    const retries = evs.filter(e => label(e) === 'debug:retry').map(e => [e.data.reason, e.data.inMs]);
+    // Backoff steps up while attempts fail and resets after every successful connect
+    assert.deepEqual(retries, [['disconnected', 30], ['connect:reject', 60], ['streamEnd', 30], ['error', 30]]);
+
+    const rejected = evs.find(e => label(e) === 'status:error' && e.data.where === 'connect');
+    assert.equal(rejected.data.error, 'room closed');
+    assert.equal(evs.filter(e => label(e) === 'status:error' && !e.data.where)[0].data.error, 'upstream hiccup');
+    assert.deepEqual(evs.filter(e => e.event === 'chat').map(e => e.data.comment), ['first', 'back']);
+    assert.deepEqual(evs.filter(e => label(e) === 'debug:attempt').map(e => e.data.trigger), ['init', 'retry', 'retry', 'retry', 'retry']);
+  } finally {
+    sse.close();
+  }
+});
+
+test('reconnect: a refused connector\'s events, before or after the refusal, never reach clients', async () => {
+  fake.profile('refused1', { roomId: '7080', live: true });
+  fake.script('7080',
+    [
+      { event: 'chat', data: { comment: 'before', uniqueId: 'a' } },
+      { error: 'early error' },
+      { reject: 'room closed' },
+      { event: 'chat', data: { comment: 'after', uniqueId: 'a' } },
+      { streamEnd: true }
+    ],
+    [{ wait: 100 }, { event: 'chat', data: { comment: 'live', uniqueId: 'a' } }]
+  );
+  const connectRun = ['debug:attempt', 'debug:cookies', 'debug:room-scrape', 'room', 'debug:region'];
+
+  const sse = openSse('user=refused1');
+  try {
+    const evs = await sse.until(count('chat', 1), 6000);
+    assert.deepEqual(evs.map(label), [
+      ...connectRun, 'status:error', 'debug:retry',
+      ...connectRun, 'status:connected', 'open', 'chat'
+    ]);
+    assert.equal(evs.find(e => label(e) === 'status:error').data.error, 'room closed');
+    assert.equal(evs.find(e => e.event === 'chat').data.comment, 'live');
+    // Nothing trails in after the fact either
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(sse.events.filter(e => e.event === 'chat').map(e => e.data.comment), ['live']);
+    assert.equal(sse.events.filter(e => label(e) === 'debug:retry').length, 1);
+  } finally {
+    sse.close();
+  }
+});
+
+const metricsText = async () => {
+  const res = await fetch(`http://127.0.0.1:${relay.address().port}/metrics`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain/);
+  return res.text();
+};
+const metricValue = (body, series) => {
+  const line = body.split('\n').find(l => l.startsWith(series + ' '));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+};
+
+test('metrics: one rejected then successful connect, two chats seen by two clients', async () => {
+  fake.profile('metrics1', { roomId: '7090', live: true });
+  fake.script('7090',
+    [{ reject: 'room closed' }],
+    [{ wait: 300 }, { event: 'chat', data: { comment: 'one', uniqueId: 'a' } }, { event: 'chat', data: { comment: 'two', uniqueId: 'a' } }]
+  );
+  const series = [
+    'tiktok_scrape_total{from="validated"}',
+    'tiktok_connect_failures_total{platform="tiktok",reason="connect:reject"}',
+    'tiktok_connect_attempts_total{platform="tiktok",reason="connect:reject"}',
+    'tiktok_connect_successes_total{platform="tiktok",reason="connect:reject"}',
+    'tiktok_events_forwarded_total{platform="tiktok",type="chat"}',
+    'upstream_request_duration_seconds_count{upstream="tiktok"}'
+  ];
+  const beforeBody = await metricsText();
+
+  const a = openSse('user=metrics1');
+  const b = openSse('user=metrics1');
+  try {
+    await Promise.all([a.until(count('chat', 2), 6000), b.until(count('chat', 2), 6000)]);
+  } finally {
+    a.close();
+    b.close();
+  }
+
+  const body = await metricsText();
+  const [scrapes, failures, attempts, successes, forwarded, upstream] =
+    series.map(s => metricValue(body, s) - metricValue(beforeBody, s));
+  assert.ok(scrapes >= 1);
+  assert.equal(failures, 1);
+  assert.equal(attempts, 1);
+  assert.equal(successes, 1);
+  // Counted once per event, not once per client
+  assert.equal(forwarded, 2);
+  assert.ok(upstream > 0);
+  assert.match(body, /# TYPE upstream_request_duration_seconds histogram/);
+  assert.match(body, /upstream_request_duration_seconds_bucket\{upstream="tiktok",le="\+Inf"\} \d+/);
+});
@@ -0,0 +1,111 @@
+'use strict';
+// /tiktok/status against the local TikTok stand-in: per-user results in
+// request order, per-user errors, the short-TTL cache, the process-wide
+// concurrency cap and the per-user rate limit.
+
+// Read at require time: 20 tokens that barely refill
+process.env.TIKTOK_STATUS_CONCURRENCY = '2';
+process.env.TIKTOK_STATUS_MAX_USERS = '6';
+process.env.RATE_LIMITS = JSON.stringify({ 'tiktok-status': { ip: { capacity: 20, perMin: 1 } } });
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { app, setTikTokUpstream } = require('../server');
+const { startFakeTikTok } = require('./support/fake-tiktok');
+
+let fake;
+let relay;
+let restore;
+let base;
+
+before(async () => {
+  fake = await startFakeTikTok();
+  restore = setTikTokUpstream({ fetch: fake.fetch, createConnector: fake.createConnector });
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  restore();
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+  await fake.close();
+});
+
+const strip = (entry) => { const { checkedAt, ...rest } = entry; return rest; };
+
+test('status: live, offline, no room, webcast failure and a bad handle, in request order', async () => {
+  fake.profile('st_live', { roomId: '8001', live: true, region: 'EU' });
+  fake.profile('st_off', { roomId: '8002', live: false });
+  fake.profile('st_never', {});
+  fake.profile('st_broken', { roomId: '8004', webcastError: true });
+
+  const res = await fetch(`${base}/tiktok/status?users=@St_Live,st_off,st_never,st_broken,bad handle!,st_live`);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.ok(body.slice(0, 3).every(e => !Number.isNaN(Date.parse(e.checkedAt))));
+  assert.deepEqual(body.map(e => e.checkedAt ? strip(e) : e), [
+    { user: 'st_live', live: true, roomId: '8001', region: 'EU', cache: 'miss' },
+    { user: 'st_off', live: false, roomId: '8002', region: null, cache: 'miss' },
+    { user: 'st_never', live: false, roomId: null, region: null, cache: 'miss' },
+    { user: 'st_broken', error: 'webcast_unavailable' },
+    { user: 'bad handle!', error: 'invalid_user' }
+  ]);
+});
+
+test('status: answers come from the cache within the TTL; failures are retried', async () => {
+  const before = fake.requests.length;
+  const res = await fetch(`${base}/tiktok/status`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ users: ['st_live', 'st_broken'] })
+  });
+  const [live, broken] = await res.json();
+  assert.equal(live.cache, 'hit');
+  assert.equal(live.live, true);
+  assert.equal(broken.error, 'webcast_unavailable');
+  // Only the failed user went upstream again
+  assert.ok(fake.requests.slice(before).every(r => !r.path.includes('st_live') && !r.path.includes('8001')));
+  assert.ok(fake.requests.slice(before).some(r => r.path.includes('8004')));
+});
+
+test('status: at most TIKTOK_STATUS_CONCURRENCY lookups upstream at once', async () => {
+  const users = ['c1', 'c2', 'c3', 'c4', 'c5'];
+  for (const u of users) fake.profile(u, { delayMs: 40 });
+  const res = await fetch(`${base}/tiktok/status?users=${users.join(',')}`);
+  assert.deepEqual((await res.json()).map(e => e.user), users);
+  assert.ok(fake.peakInFlight <= 2, `peak ${fake.peakInFlight}`);
+});
+
+test('status: the cap holds across parallel requests', async () => {
+  const users = [['p1', 'p2', 'p3'], ['p4', 'p5', 'p6']];
+  for (const u of users.flat()) fake.profile(u, { delayMs: 40 });
+  const answers = await Promise.all(users.map(list => fetch(`${base}/tiktok/status?users=${list.join(',')}`).then(r => r.json())));
+  assert.deepEqual(answers.map(a => a.map(e => e.user)), users);
+  assert.ok(fake.peakInFlight <= 2, `peak ${fake.peakInFlight}`);
+});
+
+test('status: the rate limit charges one token per uncached user', async () => {
+  // 4 + 1 + 5 + 6 tokens spent above; 4 left
+  const fresh = await fetch(`${base}/tiktok/status?users=r1,r2,r3,r4,r5`);
+  assert.equal(fresh.status, 429);
+  assert.equal((await fresh.json()).scope, 'ip');
+
+  // Five cached users cost a single token
+  const cached = await fetch(`${base}/tiktok/status?users=c1,c2,c3,c4,c5`);
+  assert.equal(cached.status, 200);
+  assert.ok((await cached.json()).every(e => e.cache === 'hit'));
+});
+
+test('status: missing and oversized user lists are rejected', async () => {
+  const missing = await fetch(`${base}/tiktok/status`);
+  assert.equal(missing.status, 400);
+
+  const tooMany = await fetch(`${base}/tiktok/status?users=a1,a2,a3,a4,a5,a6,a7`);
+  assert.equal(tooMany.status, 400);
+  assert.deepEqual(await tooMany.json(), { error: 'too_many_users', max: 6 });
+});
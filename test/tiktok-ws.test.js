@@ -0,0 +1,213 @@
+'use strict';
+// /tiktok-ws against the local TikTok stand-in: the command protocol, close
+// codes, resume, and the same room options /tiktok-sse takes.
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.TIKTOK_RETRY_DELAYS_MS = '30,60';
+process.env.ROOM_IDLE_GRACE_MS = '20';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const { app, attachTikTokWs, setTikTokUpstream } = require('../server');
+const { startFakeTikTok } = require('./support/fake-tiktok');
+const { label, count } = require('./support/sse-client');
+
+let fake;
+let relay;
+let wss;
+let restore;
+let base;
+
+before(async () => {
+  fake = await startFakeTikTok();
+  restore = setTikTokUpstream({ fetch: fake.fetch, createConnector: fake.createConnector });
+  relay = app.listen(0, '127.0.0.1');
+  wss = attachTikTokWs(relay);
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+});
+
+after(async () => {
+  restore();
+  for (const ws of wss.clients) ws.terminate();
+  wss.close();
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+  await fake.close();
+});
+
+const admin = (p, init = {}) => fetch(base + p, { ...init, headers: { Authorization: 'Bearer test-admin-token' } });
+
+// Frames as { event, id, data } so the SSE helpers' label()/count() apply;
+// acks, errors and pongs keep their own fields
+function openWs(query = '') {
+  const frames = [];
+  let waiter = null;
+  const check = () => { if (waiter && waiter.pred(frames)) { const w = waiter; waiter = null; clearTimeout(w.timer); w.resolve(frames.slice()); } };
+  const ws = new WebSocket(`${base.replace(/^http/, 'ws')}/tiktok-ws${query ? '?' + query : ''}`);
+  const opened = new Promise((resolve, reject) => { ws.once('open', resolve); ws.once('error', reject); });
+  const closed = new Promise(resolve => ws.once('close', (code, reason) => resolve({ code, reason: String(reason) })));
+  ws.on('message', (buf) => {
+    const m = JSON.parse(String(buf));
+    frames.push({ ...m, event: m.type });
+    check();
+  });
+  ws.on('error', () => {});
+  return {
+    frames,
+    opened,
+    closed,
+    send: (msg) => ws.send(typeof msg === 'string' ? msg : JSON.stringify(msg)),
+    until(pred, ms = 4000) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => { waiter = null; reject(new Error('timed out; got ' + JSON.stringify(frames.map(label)))); }, ms);
+        waiter = { pred, resolve, timer };
+        check();
+      });
+    },
+    close: () => ws.terminate()
+  };
+}
+
+const ofType = (frames, type) => frames.filter(f => f.type === type);
+
+test('commands: subscribe, re-subscribe, reconnect, ping, unsubscribe and bad input', async () => {
+  fake.profile('wscmd', { roomId: '7401', live: true });
+  fake.script('7401',
+    [{ wait: 150 }, { event: 'gift', data: { giftId: 1, repeatCount: 1, uniqueId: 'g' } }, { event: 'chat', data: { comment: 'one', uniqueId: 'a' } }],
+    [{ event: 'chat', data: { comment: 'two', uniqueId: 'a' } }]
+  );
+
+  const c = openWs();
+  try {
+    await c.opened;
+    c.send({ cmd: 'subscribe', user: '@WsCmd', events: ['chat'] });
+    let frames = await c.until(count('chat', 1));
+    assert.deepEqual(frames[0], { type: 'ack', cmd: 'subscribe', user: 'wscmd', events: ['chat'], event: 'ack' });
+    assert.deepEqual(ofType(frames, 'gift'), []);
+    assert.ok(frames.some(f => label(f) === 'status:connected'));
+    assert.ok(frames.filter(f => f.type === 'chat').every(f => Number.isInteger(f.id)));
+
+    // Same user again only swaps the filter
+    c.send({ cmd: 'subscribe', user: 'wscmd', events: 'chat,gift' });
+    frames = await c.until(fs => ofType(fs, 'ack').length === 2);
+    assert.deepEqual(ofType(frames, 'ack')[1].events, ['chat', 'gift']);
+    assert.equal(fake.connections.filter(x => x.roomId === '7401').length, 1);
+
+    c.send({ cmd: 'reconnect' });
+    frames = await c.until(count('chat', 2));
+    assert.deepEqual(ofType(frames, 'ack')[2], { type: 'ack', cmd: 'reconnect', user: 'wscmd', event: 'ack' });
+    assert.equal(frames.filter(f => label(f) === 'debug:attempt').pop().data.trigger, 'client');
+
+    c.send({ cmd: 'ping' });
+    c.send('not json');
+    c.send({ cmd: 'dance' });
+    frames = await c.until(fs => ofType(fs, 'error').length === 2);
+    assert.ok(Math.abs(ofType(frames, 'pong')[0].ts - Date.now()) < 5000);
+    assert.deepEqual(ofType(frames, 'error').map(f => f.error), ['invalid_json', 'unknown_command']);
+
+    c.send({ cmd: 'unsubscribe' });
+    c.send({ cmd: 'reconnect' });
+    frames = await c.until(fs => ofType(fs, 'error').length === 3);
+    assert.equal(ofType(frames, 'ack').pop().cmd, 'unsubscribe');
+    assert.deepEqual(ofType(frames, 'error')[2], { type: 'error', cmd: 'reconnect', error: 'not_subscribed', event: 'error' });
+  } finally {
+    c.close();
+  }
+});
+
+test('close codes: 4400 unsupported user, 4404 offline and 4410 ended with closeOnOffline', async () => {
+  const bad = openWs('user=' + encodeURIComponent('not a handle!'));
+  assert.deepEqual(await bad.closed, { code: 4400, reason: 'unsupported user' });
+
+  const late = openWs();
+  await late.opened;
+  late.send({ cmd: 'subscribe', user: 'x' });
+  assert.equal((await late.closed).code, 4400);
+
+  fake.profile('wsoffline', { roomId: '7402', live: false });
+  const offline = openWs('user=wsoffline&closeOnOffline=1');
+  assert.deepEqual(await offline.closed, { code: 4404, reason: 'offline' });
+  assert.equal(label(offline.frames.pop()), 'status:offline');
+
+  fake.profile('wsended', { roomId: '7403', live: true });
+  fake.script('7403', [{ streamEnd: true }]);
+  const ended = openWs('user=wsended');
+  await ended.opened;
+  ended.send({ cmd: 'subscribe', user: 'wsended', closeOnOffline: true });
+  assert.deepEqual(await ended.closed, { code: 4410, reason: 'stream ended' });
+});
+
+test('close codes: 4403 when an admin closes the room', async () => {
+  fake.profile('wskill', { roomId: '7404', live: true });
+  const c = openWs('user=wskill');
+  await c.until(count('open', 1));
+  assert.equal((await admin('/admin/rooms/wskill', { method: 'DELETE' })).status, 200);
+  assert.deepEqual(await c.closed, { code: 4403, reason: 'admin' });
+  assert.deepEqual(c.frames.pop().data, { state: 'closed', user: 'wskill', reason: 'admin' });
+});
+
+test('resume: lastEventId replays what was missed; null or empty means a fresh join', async () => {
+  fake.profile('wsresume', { roomId: '7405', live: true });
+  fake.script('7405', [
+    { event: 'chat', data: { comment: 'a', uniqueId: 'u' } },
+    { event: 'chat', data: { comment: 'b', uniqueId: 'u' } },
+    { event: 'chat', data: { comment: 'c', uniqueId: 'u' } }
+  ]);
+  const first = openWs('user=wsresume');
+  try {
+    const frames = await first.until(count('chat', 3));
+    const chats = ofType(frames, 'chat');
+    const fromB = chats[1].id - 1;
+
+    const resumed = openWs(`user=wsresume&lastEventId=${fromB}`);
+    const fresh = openWs();
+    const empty = openWs('user=wsresume&lastEventId=');
+    try {
+      const got = await resumed.until(count('chat', 2));
+      assert.deepEqual(ofType(got, 'chat').map(f => [f.id, f.data.comment]), chats.slice(1).map(f => [f.id, f.data.comment]));
+
+      await fresh.opened;
+      fresh.send({ cmd: 'subscribe', user: 'wsresume', lastEventId: null });
+      for (const c of [fresh, empty]) {
+        const snap = await c.until(fs => ofType(fs, 'cursor').length === 1);
+        // The join snapshot and a cursor to resume from, no replayed chat
+        assert.deepEqual(snap.map(label), ['ack', 'room', 'status:connected', 'open', 'cursor']);
+        assert.equal(ofType(snap, 'cursor')[0].id, chats[2].id);
+      }
+    } finally {
+      resumed.close();
+      fresh.close();
+      empty.close();
+    }
+  } finally {
+    first.close();
+  }
+});
+
+test('room options: trust, force and region come through from the query or subscribe', async () => {
+  fake.profile('wsopts1', { roomId: '7406', live: true });
+  fake.profile('wsopts2', { roomId: '7407', live: true });
+  const q = openWs('user=wsopts1&trust=1&region=EU');
+  const s = openWs();
+  try {
+    await s.opened;
+    s.send({ cmd: 'subscribe', user: 'wsopts2', force: true, region: 'EU' });
+    await Promise.all([q.until(count('open', 1)), s.until(count('open', 1))]);
+
+    const { rooms } = await (await admin('/admin/rooms')).json();
+    const opts = (user) => rooms.find(r => r.user === user).opts;
+    assert.deepEqual(opts('wsopts1'), { trust: true, force: false, region: 'EU' });
+    assert.deepEqual(opts('wsopts2'), { trust: false, force: true, region: 'EU' });
+    for (const roomId of ['7406', '7407']) {
+      assert.match(fake.connections.filter(c => c.roomId === roomId).pop().cookie, /tt-web-region=EU/);
+    }
+  } finally {
+    q.close();
+    s.close();
+  }
+});
@@ -0,0 +1,110 @@
+'use strict';
+// Steam title masking: the tokens redactionTokensFromTitle() builds from a
+// title and its makers, as maskTerms() applies them to review text, and a
+// randomized check that no way of writing the title gets through.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { redactionTokensFromTitle, maskTerms } = require('../server');
+const { mulberry32 } = require('./support/prng');
+
+const mask = (title, related, text) => maskTerms(text, redactionTokensFromTitle(title, related)).text;
+
+test('numerals: arabic and roman spellings stand in for each other', () => {
+  const gta = (text) => mask('Grand Theft Auto V', ['Rockstar North'], text);
+  assert.equal(gta('Grand Theft Auto 5 > Grand-Theft-Auto IV'), '**** > **** IV');
+  assert.equal(gta('gta v, GTA5, GTA 5, GTAV\'s map'), '****, ****, ****, **** map');
+
+  assert.equal(mask('Counter-Strike 2', ['Valve'], 'counter strike ii, CS2 and CS II'), '****, **** and ****');
+  assert.equal(mask('The Witcher® 3: Wild Hunt', [], 'Witcher III beats the witcher 2'), '**** beats **** 2');
+});
+
+test('acronyms: initials with and without the numeral, developers\' too', () => {
+  const witcher = (text) => mask('The Witcher® 3: Wild Hunt', ['CD PROJEKT RED'], text);
+  assert.equal(witcher('TW3 by CDPR (CD Projekt Red), a Projekt classic'), '**** by **** (****), a **** classic');
+  assert.equal(mask('Final Fantasy VII Remake', ['Square Enix'], 'FF7, FF VII and ff7r fans'), '****, **** and ff7r fans');
+  assert.equal(mask('Baldur\'s Gate 3', ['Larian Studios'], 'BG3 by Larian'), '**** by ****');
+  // Two letters are only an acronym with a numeral after them
+  assert.equal(mask('Hollow Knight', ['Team Cherry'], 'HK is short for it'), 'HK is short for it');
+});
+
+test('multi-word titles: whole phrases, main part, significant words; filler stays', () => {
+  const doom = (text) => mask('DOOM Eternal: The Ancient Gods', ['id Software'], text);
+  assert.equal(doom('DOOM Eternal: The Ancient Gods - Part One'), '**** - Part One');
+  assert.equal(doom('doom eternal is eternal doom, id Software rocks'), '**** is **** ****, **** rocks');
+  assert.equal(mask('Hollow Knight', ['Team Cherry'], 'the team at Cherry made HollowKnight'), 'the team at **** made ****');
+  // Stopwords and company filler alone aren't tokens; matches are whole words
+  const goty = (text) => mask('Portal Knights Game of the Year Edition', ['Keen Games'], text);
+  assert.equal(goty('a game of the year edition from Keen Games'), 'a game of the year edition from ****');
+  assert.equal(goty('portals open; the knightly order'), 'portals open; the knightly order');
+});
+
+test('maskTerms: reports the share of letters masked', () => {
+  const tokens = redactionTokensFromTitle('Hollow Knight');
+  assert.deepEqual(maskTerms('Hollow Knight', tokens), { text: '****', ratio: 1 });
+  assert.equal(maskTerms('hollow knight good', tokens).ratio, 12 / 16);
+  assert.deepEqual(maskTerms('nothing here', []), { text: 'nothing here', ratio: 0 });
+});
+
+/* ---------------------------- Masking properties --------------------------- */
+const TITLE_WORDS = ['Shadow', 'Legends', 'Crystal', 'Kingdom', 'Rogue', 'Harbor', 'Nebula', 'Iron', 'Tactics', 'Frontier', 'Hollow', 'Star', 'Drift', 'Empire'];
+const MAKER_WORDS = ['Quartz', 'Lumen', 'Pixelwerk', 'Moonbyte'];
+// Kept clear of the title words and of anything their initials could spell
+const FILLER = ['really', 'fun', 'with', 'friends', 'combat', 'great', 'story', 'was', 'boring', 'many', 'hours', 'in'];
+const ROMAN = ['', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX'];
+
+const pick = (rnd, arr) => arr[Math.floor(rnd() * arr.length)];
+
+function randomTitle(rnd) {
+  const pool = TITLE_WORDS.slice();
+  const take = (n) => Array.from({ length: n }, () => pool.splice(Math.floor(rnd() * pool.length), 1)[0]);
+  const main = take(1 + Math.floor(rnd() * 3));
+  const n = 2 + Math.floor(rnd() * 8);
+  const num = rnd() < 0.5 ? null : (rnd() < 0.5 ? String(n) : ROMAN[n]);
+  const sub = rnd() < 0.4 ? take(1 + Math.floor(rnd() * 2)) : [];
+  const maker = pick(rnd, MAKER_WORDS) + ' Studios';
+  return { main, num, sub, maker };
+}
+
+// The title dropped into a review the ways players write it
+function titleVariants({ main, num, sub, maker }) {
+  const n = num ? [num] : [];
+  const swapped = num ? [/^\d+$/.test(num) ? ROMAN[Number(num)] : String(ROMAN.indexOf(num))] : [];
+  const out = [
+    [...main, ...n].join(' ') + (sub.length ? ': ' + sub.join(' ') : ''),
+    [...main, ...n].join(' ').toLowerCase(),
+    [...main, ...n].join(' ').toUpperCase(),
+    [...main, ...n].join(''),
+    [...main, ...n].join('-'),
+    [...main, ...n].join(' ') + '\'s',
+    maker,
+    maker.split(' ')[0]
+  ];
+  if (num) out.push([...main, ...swapped].join(' '));
+  if (main.length > 1 && num) {
+    const letters = main.map(w => w[0]).join('');
+    out.push(letters + num, letters + ' ' + swapped[0]);
+  }
+  return out;
+}
+
+test('masking never lets the title through (randomized)', () => {
+  const seed = Number(process.env.TITLE_PROP_SEED) || 20241019;
+  const rnd = mulberry32(seed);
+
+  for (let i = 0; i < 300; i++) {
+    const t = randomTitle(rnd);
+    const title = [...t.main, ...(t.num ? [t.num] : [])].join(' ') + (t.sub.length ? ': ' + t.sub.join(' ') : '');
+    const tokens = redactionTokensFromTitle(title, [t.maker]);
+    for (const variant of titleVariants(t)) {
+      const before = Array.from({ length: Math.floor(rnd() * 5) }, () => pick(rnd, FILLER)).join(' ');
+      const after = Array.from({ length: 1 + Math.floor(rnd() * 5) }, () => pick(rnd, FILLER)).join(' ');
+      const text = [before, variant, after].filter(Boolean).join(' ') + '.';
+      const out = maskTerms(text, tokens).text;
+      // The mention goes as one piece and nothing around it does
+      assert.equal(out, [before, '****', after].filter(Boolean).join(' ') + '.',
+        `seed=${seed} title=${JSON.stringify(title)} maker=${t.maker} text=${JSON.stringify(text)}`);
+    }
+  }
+});
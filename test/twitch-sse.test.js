@@ -0,0 +1,121 @@
+'use strict';
+// /twitch-sse end to end against the local Twitch IRC stand-in: same event
+// sequence and payloads as /tiktok-sse, same reconnect schedule; counted under
+// their own platform and never recorded as TikTok.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const RECORD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-twitch-rec-'));
+process.env.TIKTOK_RECORD_DIR = RECORD_DIR;
+process.env.TIKTOK_RETRY_DELAYS_MS = '30,60';
+process.env.ROOM_IDLE_GRACE_MS = '20';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { startFakeTwitchIrc } = require('./support/fake-twitch-irc');
+const { openSse: openSseAt, label, count } = require('./support/sse-client');
+
+let fake;
+let relay;
+
+before(async () => {
+  fake = await startFakeTwitchIrc();
+  // TWITCH_IRC_URL is read at require time
+  process.env.TWITCH_IRC_URL = fake.url;
+  const { app } = require('../server');
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+});
+
+after(async () => {
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+  await fake.close();
+});
+
+const openSse = (query) => openSseAt(relay.address().port, query, { path: '/twitch-sse' });
+
+test('chat: anonymous join, then chat in the /tiktok-sse shape', async () => {
+  fake.channel('chan1', { roomId: '555' });
+  fake.script('chan1', [
+    { privmsg: { user: 'viewer1', display: 'Viewer_One', text: 'hello there' } },
+    { ping: true },
+    { privmsg: { user: 'viewer2', text: '\x01ACTION waves\x01' } }
+  ]);
+  const sse = openSse('channel=Chan1');
+  try {
+    const evs = await sse.until(count('chat', 2));
+    assert.deepEqual(evs.map(label), ['debug:attempt', 'debug:join', 'status:connected', 'open', 'chat', 'chat']);
+    assert.deepEqual(evs[2].data, { state: 'connected', user: 'chan1', roomId: '555', region: null });
+    assert.deepEqual(evs[3].data, { ok: true, user: 'chan1', roomId: '555', region: null });
+    assert.deepEqual(evs[4].data, { comment: 'hello there', uniqueId: 'viewer1', nickname: 'Viewer_One' });
+    assert.deepEqual(evs[5].data, { comment: 'waves', uniqueId: 'viewer2', nickname: 'viewer2' });
+    assert.deepEqual(evs.map(e => Number(e.id)), [1, 2, 3, 4, 5, 6]);
+
+    const conn = fake.connections.find(c => c.channel === 'chan1');
+    assert.match(conn.nick, /^justinfan\d+$/);
+    assert.ok(conn.lines.includes('PASS SCHMOOPIIE'));
+    assert.deepEqual(fake.pongs, ['PONG :tmi.twitch.tv']);
+  } finally {
+    sse.close();
+  }
+});
+
+test('reconnect: RECONNECT, hang-up and a refused join back off and recover', async () => {
+  fake.channel('chan2', { roomId: '556' });
+  fake.script('chan2',
+    [{ privmsg: { user: 'a', text: 'first' } }, { reconnect: true }],
+    [{ close: true }],
+    [{ privmsg: { user: 'a', text: 'back' } }]
+  );
+  const joinRun = ['debug:attempt', 'debug:join'];
+
+  const sse = openSse('user=chan2');
+  try {
+    const evs = await sse.until(count('chat', 2), 6000);
+    assert.deepEqual(evs.map(label), [
+      ...joinRun, 'status:connected', 'open', 'chat',
+      'status:disconnected', 'debug:retry',
+      ...joinRun, 'status:connected', 'open',
+      'status:disconnected', 'debug:retry',
+      ...joinRun, 'status:connected', 'open', 'chat'
+    ]);
+    // Backoff resets after every successful join
+    assert.deepEqual(evs.filter(e => label(e) === 'debug:retry').map(e => e.data.inMs), [30, 30]);
+  } finally {
+    sse.close();
+  }
+
+  fake.channel('gone', { notice: 'This channel has been suspended.' });
+  const refused = openSse('channel=gone');
+  try {
+    const evs = await refused.until(count('debug:retry', 1));
+    const err = evs.find(e => label(e) === 'status:error');
+    assert.deepEqual(err.data, { state: 'error', where: 'connect', error: 'This channel has been suspended.' });
+    assert.equal(evs.find(e => label(e) === 'debug:retry').data.reason, 'connect:reject');
+  } finally {
+    refused.close();
+  }
+});
+
+test('channel names are validated', async () => {
+  const base = `http://127.0.0.1:${relay.address().port}`;
+  assert.equal((await fetch(`${base}/twitch-sse`)).status, 400);
+  assert.equal((await fetch(`${base}/twitch-sse?channel=bad%20name`)).status, 400);
+});
+
+test('twitch rooms count as platform="twitch" and are not recorded for /tiktok-replay', async () => {
+  const base = `http://127.0.0.1:${relay.address().port}`;
+  const body = await (await fetch(`${base}/metrics`)).text();
+  assert.match(body, /^tiktok_connect_attempts_total\{platform="twitch",reason="init"\} [1-9]\d*$/m);
+  assert.match(body, /^tiktok_events_forwarded_total\{platform="twitch",type="chat"\} [1-9]\d*$/m);
+  assert.doesNotMatch(body, /^tiktok_connect_attempts_total\{platform="tiktok"/m);
+
+  assert.deepEqual(fs.readdirSync(RECORD_DIR), []);
+  assert.equal((await fetch(`${base}/tiktok-replay?user=twitch_chan1`)).status, 404);
+});
@@ -0,0 +1,193 @@
+'use strict';
+// Go-live watcher against the local TikTok stand-in and a local webhook
+// receiver: state changes fire signed webhooks, failing targets are retried,
+// and the watch list survives in WATCH_FILE.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+
+// Read at require time
+const WATCH_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'relay-watch-')), 'watches.json');
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.WATCH_FILE = WATCH_FILE;
+process.env.WATCH_POLL_MS = '40';
+process.env.WATCH_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.WATCH_WEBHOOK_RETRY_DELAYS_MS = '20,20';
+process.env.TIKTOK_STATUS_TTL_MS = '1';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const { before, after } = test;
+const assert = require('node:assert/strict');
+
+const { app, setTikTokUpstream } = require('../server');
+const { startFakeTikTok } = require('./support/fake-tiktok');
+
+let fake;
+let relay;
+let restore;
+let base;
+let receiver;
+let hookBase;
+const received = []; // { path, headers, body }
+
+before(async () => {
+  fake = await startFakeTikTok();
+  restore = setTikTokUpstream({ fetch: fake.fetch, createConnector: fake.createConnector });
+  relay = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => relay.once('listening', resolve));
+  base = `http://127.0.0.1:${relay.address().port}`;
+
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(req.url === '/fail' ? 500 : 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  hookBase = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+after(async () => {
+  restore();
+  relay.closeAllConnections();
+  await new Promise(resolve => relay.close(resolve));
+  await new Promise(resolve => receiver.close(resolve));
+  await fake.close();
+});
+
+const admin = (p, init = {}) => fetch(base + p, {
+  ...init,
+  headers: { Authorization: 'Bearer test-admin-token', 'Content-Type': 'application/json', ...(init.headers || {}) }
+});
+
+async function waitFor(pred, ms = 3000) {
+  const until = Date.now() + ms;
+  for (;;) {
+    const v = await pred();
+    if (v) return v;
+    if (Date.now() > until) throw new Error('timed out');
+    await new Promise(r => setTimeout(r, 15));
+  }
+}
+
+const watchOf = async (user) => (await (await admin('/admin/watches')).json()).watches.find(w => w.user === user);
+const hooks = (event) => received.filter(r => r.path === '/hook' && r.headers['x-relay-event'] === event);
+
+test('watch: add, go live, go offline → signed webhooks; failing target retried then failed', async () => {
+  fake.profile('w_star', { roomId: '9001', live: false });
+
+  const bad = await admin('/admin/watches', { method: 'POST', body: JSON.stringify({ user: 'w_star', webhooks: ['ftp://x'] }) });
+  assert.equal(bad.status, 400);
+
+  const added = await admin('/admin/watches', {
+    method: 'POST',
+    body: JSON.stringify({ user: '@W_Star', webhooks: [hookBase + '/hook', hookBase + '/fail'] })
+  });
+  assert.equal(added.status, 201);
+  assert.equal((await added.json()).watch.user, 'w_star');
+
+  // The first check only records the state
+  await waitFor(async () => (await watchOf('w_star'))?.state === 'offline');
+  assert.equal(received.length, 0);
+
+  fake.profile('w_star', { roomId: '9001', live: true, region: 'EU' });
+  const [live] = await waitFor(() => hooks('tiktok.live').length && hooks('tiktok.live'));
+  const payload = JSON.parse(live.body);
+  assert.equal(payload.event, 'tiktok.live');
+  assert.equal(payload.user, 'w_star');
+  assert.equal(payload.roomId, '9001');
+  assert.equal(payload.region, 'EU');
+  assert.equal(payload.previous, 'offline');
+
+  const expected = 'sha256=' + crypto.createHmac('sha256', 'test-webhook-secret')
+    .update(`${live.headers['x-relay-timestamp']}.${live.body}`).digest('hex');
+  assert.equal(live.headers['x-relay-signature'], expected);
+
+  // /fail answers 500: first attempt + two retries, then given up
+  const deliveries = await waitFor(async () => {
+    const { deliveries } = await (await admin('/admin/watches/deliveries?user=w_star')).json();
+    return deliveries.some(d => d.url.endsWith('/fail') && d.state === 'failed') && deliveries;
+  });
+  const ok = deliveries.find(d => d.url.endsWith('/hook') && d.event === 'tiktok.live');
+  assert.equal(ok.state, 'delivered');
+  assert.equal(ok.attempts.length, 1);
+  const failed = deliveries.find(d => d.url.endsWith('/fail'));
+  assert.deepEqual(failed.attempts.map(a => a.status), [500, 500, 500]);
+  assert.equal(received.filter(r => r.path === '/fail').length, 3);
+
+  fake.profile('w_star', { roomId: '9001', live: false });
+  const [ended] = await waitFor(() => hooks('tiktok.ended').length && hooks('tiktok.ended'));
+  assert.equal(JSON.parse(ended.body).previous, 'live');
+  assert.equal(hooks('tiktok.live').length, 1);
+});
+
+test('watch: the list and last state are persisted; delete stops the watch', async () => {
+  const saved = JSON.parse(fs.readFileSync(WATCH_FILE, 'utf8'));
+  assert.deepEqual(saved.watches.map(w => [w.user, w.state, w.roomId]), [['w_star', 'offline', '9001']]);
+  assert.deepEqual(saved.watches[0].webhooks, [hookBase + '/hook', hookBase + '/fail']);
+
+  const del = await admin('/admin/watches/w_star', { method: 'DELETE' });
+  assert.deepEqual(await del.json(), { ok: true, user: 'w_star' });
+  assert.equal((await admin('/admin/watches/w_star', { method: 'DELETE' })).status, 404);
+  assert.deepEqual(JSON.parse(fs.readFileSync(WATCH_FILE, 'utf8')).watches, []);
+});
+
+test('watch: failed checks back off', async () => {
+  fake.profile('w_flaky', { roomId: '9002', webcastError: true });
+  await admin('/admin/watches', { method: 'POST', body: JSON.stringify({ user: 'w_flaky' }) });
+  const w = await waitFor(async () => {
+    const v = await watchOf('w_flaky');
+    return v && v.failures >= 2 && v;
+  });
+  assert.equal(w.state, 'unknown');
+  assert.equal(w.lastError, 'webcast_unavailable');
+  // 40ms poll, doubled per consecutive failure
+  assert.ok(Date.parse(w.nextCheckAt) - Date.parse(w.lastCheckAt) >= 40 * 2 ** w.failures - 2);
+  await admin('/admin/watches/w_flaky', { method: 'DELETE' });
+});
+
+test('watch: a blocked profile page is a failed check, not "offline"', async () => {
+  fake.profile('w_blocked', { roomId: '9003', live: false });
+  await admin('/admin/watches', { method: 'POST', body: JSON.stringify({ user: 'w_blocked', webhooks: [hookBase + '/hook'] }) });
+  await waitFor(async () => (await watchOf('w_blocked'))?.state === 'offline');
+  const mine = (event) => hooks(event).filter(r => JSON.parse(r.body).user === 'w_blocked');
+
+  fake.profile('w_blocked', { roomId: '9003', live: true });
+  await waitFor(() => mine('tiktok.live').length);
+
+  // Still live on TikTok, but the profile page is refused, then errors
+  fake.profile('w_blocked', { roomId: '9003', live: true, pageStatus: 403 });
+  let w = await waitFor(async () => {
+    const v = await watchOf('w_blocked');
+    return v && v.failures >= 1 && v;
+  });
+  assert.equal(w.lastError, 'scrape_failed');
+  fake.profile('w_blocked', { roomId: '9003', live: true, pageStatus: 500 });
+  w = await waitFor(async () => {
+    const v = await watchOf('w_blocked');
+    return v && v.failures >= 2 && v;
+  });
+  assert.equal(w.state, 'live');
+
+  fake.profile('w_blocked', { roomId: '9003', live: true });
+  w = await waitFor(async () => {
+    const v = await watchOf('w_blocked');
+    return v && v.failures === 0 && v;
+  });
+  assert.equal(w.state, 'live');
+  assert.equal(mine('tiktok.ended').length, 0);
+  assert.equal(mine('tiktok.live').length, 1);
+  await admin('/admin/watches/w_blocked', { method: 'DELETE' });
+});
+
+test('watch: admin auth applies', async () => {
+  const res = await fetch(base + '/admin/watches');
+  assert.equal(res.status, 401);
+});